@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Runs a saved `.nodeide` session without the browser, using the headless LibertasCore.
+ *
+ *   node libertas-cli.js pipeline.nodeide -i node_0=customers.csv -o node_5=report.json
+ *
+ * Exit codes: 0 when every node ran, 1 when a node failed, 2 for usage and file errors.
+ */
+const fs = require('fs');
+const path = require('path');
+const { LibertasCore } = require('./libertas-core.js');
+
+const USAGE = `Usage: node libertas-cli.js <session.nodeide> [options]
+
+Options:
+  -i, --input [<node>=]<file>   Replace the data of an Import node with the contents of a file ("-" reads
+                                stdin). The node id may be left out when the session has one Import node.
+  -o, --output [<node>=]<file>  Write the output of an Export node to a file ("-" writes stdout). Without
+                                any --output, every Export node is written to stdout.
+      --var <name>=<value>      Set a session variable, overriding the value saved in the session.
+  -p, --pack <file>             Load a node pack before running; repeat for several packs.
+      --mute <node>             Skip a node and everything that depends only on it, e.g. one that needs a browser.
+      --list                    List the nodes of the session and exit.
+  -v, --verbose                 Print the state and status of every node to stderr.
+  -h, --help                    Show this help.`;
+
+class UsageError extends Error {}
+
+/**
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{session: string, inputs: Array, outputs: Array, variables: Object, packs: string[], mute: string[], list: boolean, verbose: boolean, help: boolean}}
+ */
+function parseArgs(argv) {
+    const options = { session: null, inputs: [], outputs: [], variables: {}, packs: [], mute: [], list: false, verbose: false, help: false };
+    const takeValue = (flag, index) => {
+        if (index >= argv.length) throw new UsageError(`${flag} needs a value.`);
+        return argv[index];
+    };
+    // "node_0=file.csv" names the node; a bare "file.csv" leaves it to be inferred.
+    const splitTarget = (value) => {
+        const match = /^([A-Za-z]\w*)=(.*)$/.exec(value);
+        return match ? { node: match[1], file: match[2] } : { node: null, file: value };
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-i': case '--input':
+                options.inputs.push(splitTarget(takeValue(arg, ++i)));
+                break;
+            case '-o': case '--output':
+                options.outputs.push(splitTarget(takeValue(arg, ++i)));
+                break;
+            case '--var': {
+                const match = /^([^=]*)=(.*)$/s.exec(takeValue(arg, ++i));
+                if (!match) throw new UsageError(`--var ${argv[i]}: expected <name>=<value>.`);
+                options.variables[match[1]] = match[2];
+                break;
+            }
+            case '-p': case '--pack':
+                options.packs.push(takeValue(arg, ++i));
+                break;
+            case '--mute':
+                options.mute.push(takeValue(arg, ++i));
+                break;
+            case '--list':
+                options.list = true;
+                break;
+            case '-v': case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h': case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new UsageError(`Unknown option "${arg}".`);
+                if (options.session) throw new UsageError(`Unexpected argument "${arg}".`);
+                options.session = arg;
+        }
+    }
+    if (!options.session && !options.help) throw new UsageError('No session file given.');
+    return options;
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        process.stdin.on('data', chunk => chunks.push(chunk));
+        process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        process.stdin.on('error', reject);
+    });
+}
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new UsageError(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+/**
+ * Node packs written for the browser queue themselves on `window.libertasNodePacks`, so a `window`
+ * is provided while each pack file is evaluated.
+ */
+function loadNodePacks(core, files) {
+    if (typeof globalThis.window === 'undefined') globalThis.window = globalThis;
+    files.forEach(file => {
+        window.libertasNodePacks = [];
+        try {
+            require(path.resolve(file));
+        } catch (e) {
+            throw new UsageError(`Cannot load node pack ${file}: ${e.message}`);
+        }
+        window.libertasNodePacks.forEach(pack => pack(core));
+    });
+}
+
+// Resolves the node a --input or --output refers to, inferring it when only one node of the type exists.
+function resolveTarget(core, target, type, flag) {
+    const candidates = [...core.nodes.values()].filter(nodeData => nodeData.type === type);
+    if (!target.node) {
+        if (candidates.length !== 1) {
+            throw new UsageError(`${flag} ${target.file}: the session has ${candidates.length} ${type} nodes (${candidates.map(n => n.id).join(', ') || 'none'}); name one as <node>=<file>.`);
+        }
+        return candidates[0];
+    }
+    const nodeData = core.nodes.get(target.node);
+    if (!nodeData) throw new UsageError(`${flag}: no node "${target.node}" in the session.`);
+    if (nodeData.type !== type) throw new UsageError(`${flag}: ${target.node} is a ${nodeData.type} node, not ${type}.`);
+    return nodeData;
+}
+
+function listNodes(core) {
+    core.nodes.forEach(nodeData => {
+        const inputs = core.connections.filter(c => c.to.node === nodeData.id).map(c => c.from.node);
+        const from = inputs.length > 0 ? `  <- ${[...new Set(inputs)].join(', ')}` : '';
+        process.stdout.write(`${nodeData.id}\t${nodeData.type}\t${core.getModelTitle(nodeData)}${from}\n`);
+    });
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (options.inputs.filter(input => input.file === '-').length + (options.session === '-' ? 1 : 0) > 1) {
+        throw new UsageError('Only one of the session and the inputs can be read from stdin.');
+    }
+
+    // The engine logs every failure with its stack; the summary printed at the end is enough unless asked for more.
+    if (!options.verbose) console.error = () => {};
+
+    const core = new LibertasCore();
+    loadNodePacks(core, options.packs);
+
+    let state;
+    try {
+        state = JSON.parse(options.session === '-' ? await readStdin() : readFile(options.session));
+    } catch (e) {
+        if (e instanceof UsageError) throw e;
+        throw new UsageError(`${options.session} is not a valid session: ${e.message}`);
+    }
+    core.loadGraph(state);
+
+    if (options.list) {
+        listNodes(core);
+        return 0;
+    }
+
+    for (const input of options.inputs) {
+        const nodeData = resolveTarget(core, input, 'import', '--input');
+        nodeData.params.data_out = input.file === '-' ? await readStdin() : readFile(input.file);
+    }
+    options.mute.forEach(nodeId => {
+        const nodeData = core.nodes.get(nodeId);
+        if (!nodeData) throw new UsageError(`--mute: no node "${nodeId}" in the session.`);
+        nodeData.muted = true;
+        nodeData.bypassed = false;
+    });
+    Object.entries(options.variables).forEach(([name, value]) => {
+        try {
+            core.setVariable(name, value);
+        } catch (e) {
+            throw new UsageError(`--var: ${e.message}`);
+        }
+    });
+    const outputs = options.outputs.length > 0
+        ? options.outputs.map(output => ({ nodeData: resolveTarget(core, output, 'export', '--output'), file: output.file }))
+        : [...core.nodes.values()].filter(nodeData => nodeData.type === 'export').map(nodeData => ({ nodeData, file: '-' }));
+
+    await core.runAll();
+
+    if (options.verbose) {
+        core.nodes.forEach(nodeData => {
+            const status = nodeData.status ? `: ${nodeData.status.text.replace(/\n/g, '\n    ')}` : '';
+            process.stderr.write(`${nodeData.id} (${core.getModelTitle(nodeData)}) ${nodeData.execState}${status}\n`);
+        });
+    }
+
+    outputs.forEach(({ nodeData, file }) => {
+        if (nodeData.error) return;
+        const text = nodeData.display.text ?? '';
+        if (file === '-') {
+            process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+        } else {
+            try {
+                fs.writeFileSync(file, text);
+            } catch (e) {
+                throw new UsageError(`Cannot write ${file}: ${e.message}`);
+            }
+        }
+    });
+
+    // Only the nodes where a failure started are reported; the rest of the chain failed because of them.
+    const failed = [...core.nodes.values()].filter(nodeData => nodeData.error);
+    failed.filter(nodeData => !nodeData.error.upstream).forEach(nodeData => {
+        process.stderr.write(`error: ${nodeData.id} (${core.getModelTitle(nodeData)}): ${nodeData.error.message}\n`);
+    });
+    if (failed.length > 0) {
+        const upstream = failed.filter(nodeData => nodeData.error.upstream).length;
+        if (upstream > 0) process.stderr.write(`${upstream} downstream node(s) did not run.\n`);
+        return 1;
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, e => {
+        process.stderr.write(`libertas: ${e.message}\n`);
+        if (e instanceof UsageError) process.stderr.write(`Run with --help for usage.\n`);
+        else process.stderr.write(`${e.stack}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,3401 @@
+/**
+ * Headless core of the node IDE: the node type registry, the per-node data model, the execution
+ * engine and the processors that only transform data. Nothing here touches the DOM, so a graph can
+ * run in the browser (where NodeBasedIDE extends this class with the canvas views), in a worker,
+ * in tests or under Node.js.
+ */
+
+/**
+ * Data types a socket can carry. `any` accepts and produces every other type.
+ * Colors map to the `--socket-*` theme variables so wires and sockets follow the active theme.
+ */
+const SOCKET_TYPES = {
+    text: { label: 'Text' },
+    table: { label: 'Table (array)' },
+    object: { label: 'Object' },
+    number: { label: 'Number' },
+    image: { label: 'Image' },
+    boolean: { label: 'Boolean' },
+    any: { label: 'Any' }
+};
+
+// Conversions that work at runtime but change the value's shape, so the user is warned.
+const COERCIBLE_SOCKET_TYPES = {
+    number: ['text', 'boolean'],
+    boolean: ['text', 'number'],
+    table: ['object']
+};
+
+// Nodes that can be inserted between two mismatched sockets to convert the value.
+const SOCKET_CONVERTERS = [
+    { from: 'text', to: 'table', type: 'csv', label: 'CSV Parser', input: 'csv_in', output: 'data_out' },
+    { from: 'text', to: 'table', type: 'json', label: 'JSON Parse', options: { operation: 'parse' }, input: 'data_in', output: 'data_out' },
+    { from: 'text', to: 'object', type: 'json', label: 'JSON Parse', options: { operation: 'parse' }, input: 'data_in', output: 'data_out' },
+    { from: 'table', to: 'text', type: 'json', label: 'JSON Stringify', options: { operation: 'stringify' }, input: 'data_in', output: 'data_out' },
+    { from: 'object', to: 'text', type: 'json', label: 'JSON Stringify', options: { operation: 'stringify' }, input: 'data_in', output: 'data_out' }
+];
+
+// Node types a Macro node can run as steps: the step's value is fed into `input` and the value on
+// `output` is passed to the next step. Only processors without side effects are listed.
+const MACRO_STEP_TYPES = {
+    find_replace: { input: 'input_text', output: 'output_text' },
+    csv: { input: 'csv_in', output: 'data_out' },
+    json: { input: 'data_in', output: 'data_out' },
+    filter: { input: 'data_in', output: 'data_out' },
+    transform: { input: 'data_in', output: 'data_out' },
+    aggregate: { input: 'data_in', output: 'data_out' },
+    sort: { input: 'data_in', output: 'data_out' },
+    dedupe: { input: 'data_in', output: 'data_out' },
+    limit: { input: 'data_in', output: 'data_out' },
+    sample: { input: 'data_in', output: 'data_out' },
+    spell_check: { input: 'text_in', output: 'text_out' },
+    translation: { input: 'text_in', output: 'text_out' },
+    summarization: { input: 'text_in', output: 'text_out' },
+    sentiment_analysis: { input: 'text_in', output: 'sentiment' },
+    auto_format: { input: 'text_in', output: 'text_out' },
+    template: { input: 'data_in', output: 'text_out' }
+};
+
+// Kinds of node parameter a node type can declare; generated node content renders one control per param.
+const PARAM_TYPES = ['text', 'textarea', 'number', 'checkbox', 'select'];
+
+/**
+ * Decides whether an output of one socket type may feed an input of another.
+ * @param {string} fromType - Type of the output socket.
+ * @param {string} toType - Type of the input socket.
+ * @returns {{status: 'ok'|'warn'|'reject', converters: object[]}}
+ */
+function checkSocketCompatibility(fromType, toType) {
+    if (fromType === toType || fromType === 'any' || toType === 'any') {
+        return { status: 'ok', converters: [] };
+    }
+    if ((COERCIBLE_SOCKET_TYPES[fromType] || []).includes(toType)) {
+        return { status: 'warn', converters: [] };
+    }
+    return {
+        status: 'reject',
+        converters: SOCKET_CONVERTERS.filter(conv => conv.from === fromType && conv.to === toType)
+    };
+}
+
+/**
+ * Entry point of the sandbox worker that runs user-written Filter, Transform and Switch code.
+ * It is stringified into a Blob URL, so it must not reference anything outside its own body.
+ * Workers have no DOM, `ide` or `localStorage`; network and script-loading globals are removed too.
+ */
+function sandboxWorkerMain() {
+    ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches'].forEach(name => {
+        try { self[name] = undefined; } catch (e) { /* read-only in some engines */ }
+    });
+
+    self.onmessage = (event) => {
+        const { id, mode, code, rows, vars } = event.data;
+        const compile = (source, prefix = '') => new Function('row', 'index', 'vars', prefix + (mode === 'transform' ? source : `return (${source});`));
+        let userFunction;
+        try {
+            if (mode === 'switch') {
+                // One expression per branch, which also see the row as `value`; the result is the
+                // index of the first that holds, or -1.
+                const branches = code.map((expression, i) => {
+                    try {
+                        return compile(expression, 'const value = row;\n');
+                    } catch (e) {
+                        throw new Error(`Branch ${i + 1}: ${e.message}`);
+                    }
+                });
+                userFunction = (row, index, vars) => branches.findIndex((branch, i) => {
+                    try {
+                        return branch(row, index, vars);
+                    } catch (e) {
+                        throw new Error(`Branch ${i + 1}: ${e.message}`);
+                    }
+                });
+            } else {
+                userFunction = compile(code);
+            }
+        } catch (e) {
+            self.postMessage({ id, compileError: e.message });
+            return;
+        }
+
+        const results = [];
+        const errors = [];
+        rows.forEach((row, index) => {
+            try {
+                // Cloning here turns an unserializable result into a per-row error instead of a failed job.
+                results.push(structuredClone(userFunction(row, index, vars)));
+            } catch (e) {
+                results.push(undefined);
+                errors.push({ index, message: e.message });
+            }
+        });
+        self.postMessage({ id, results, errors });
+    };
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, returned as 8 hex digits. Used to key node output caches.
+ * @param {string} str
+ * @returns {string}
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0') + str.length.toString(16);
+}
+
+/**
+ * A mulberry32 pseudo-random generator, so that sampling and splitting nodes give the same rows
+ * every run for the same seed. A blank seed picks a random one.
+ * @param {string|number} [seed]
+ * @returns {function(): number} - Returns floats in [0, 1), like Math.random.
+ */
+function createSeededRandom(seed) {
+    let state = seed === undefined || seed === null || String(seed).trim() === ''
+        ? Math.floor(Math.random() * 0x100000000)
+        : parseInt(hashString(String(seed).trim()).slice(0, 8), 16);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Summarizes a value flowing over a wire for the inspector: a type label and a size
+ * (row count, element count, character count or key count, whichever applies).
+ * @param {*} value
+ * @returns {{ type: string, size: string, isTable: boolean }}
+ */
+function describeWireValue(value) {
+    if (value === undefined) return { type: 'undefined', size: 'no value yet', isTable: false };
+    if (value === null) return { type: 'null', size: '', isTable: false };
+    if (Array.isArray(value)) {
+        const isTable = value.length > 0 && value.slice(0, 100).every(row => row !== null && typeof row === 'object' && !Array.isArray(row));
+        return {
+            type: isTable ? 'table' : 'array',
+            size: `${value.length} ${isTable ? 'row' : 'item'}${value.length === 1 ? '' : 's'}`,
+            isTable
+        };
+    }
+    if (typeof value === 'string') {
+        const type = value.startsWith('data:image/') ? 'image' : 'text';
+        return { type, size: `${value.length} char${value.length === 1 ? '' : 's'}`, isTable: false };
+    }
+    if (typeof value === 'object') {
+        const keyCount = Object.keys(value).length;
+        return { type: 'object', size: `${keyCount} key${keyCount === 1 ? '' : 's'}`, isTable: false };
+    }
+    return { type: typeof value, size: '', isTable: false };
+}
+
+/**
+ * Splits CSV text into records as RFC 4180 describes: quoted fields may hold delimiters, line breaks
+ * and doubled quotes, and records end at LF, CRLF or CR. Blank lines are skipped.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @param {?string} [options.quote='"'] - null turns quoting off.
+ * @param {boolean} [options.trim=true] - Trim the whitespace around unquoted fields.
+ * @returns {{records: Array<{fields: string[], line: number}>, errors: Array<{line: number, message: string}>}}
+ *          Each record keeps the line it starts on; malformed records are reported instead of returned.
+ */
+function parseCsv(text, { delimiter = ',', quote = '"', trim = true } = {}) {
+    const records = [];
+    const errors = [];
+    let fields = [];
+    let field = '';
+    let quoted = false; // the current field was quoted
+    let inQuotes = false;
+    let afterQuote = false; // the closing quote of the current field has been read
+    let recordError = null;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        fields.push(quoted || !trim ? field : field.trim());
+        field = '';
+        quoted = false;
+        afterQuote = false;
+    };
+    const endRecord = () => {
+        const blank = fields.length === 0 && !quoted && field.trim() === '';
+        endField();
+        if (recordError) {
+            errors.push({ line: recordLine, message: recordError });
+        } else if (!blank) {
+            records.push({ fields, line: recordLine });
+        }
+        fields = [];
+        recordError = null;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === quote) {
+                if (text[i + 1] === quote) {
+                    field += quote;
+                    i++;
+                } else {
+                    inQuotes = false;
+                    afterQuote = true;
+                }
+            } else {
+                if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+                field += ch;
+            }
+        } else if (ch === delimiter) {
+            endField();
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (afterQuote) {
+            if (!/\s/.test(ch) && !recordError) {
+                recordError = `Unexpected "${ch}" after the closing quote of field ${fields.length + 1}.`;
+            }
+        } else if (ch === quote && field.trim() === '') {
+            inQuotes = true;
+            quoted = true;
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (inQuotes) {
+        errors.push({ line: recordLine, message: `Field ${fields.length + 1} opens a quote that is never closed.` });
+    } else {
+        endRecord();
+    }
+    return { records, errors };
+}
+
+// Picks the most frequent of the usual delimiters on the first line, ignoring quoted text.
+function sniffCsvDelimiter(text, quote = '"') {
+    const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === quote) inQuotes = !inQuotes;
+        else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+        else if (!inQuotes && ch in counts) counts[ch]++;
+    }
+    const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? best : ',';
+}
+
+// Values a CSV column may hold once typed. A column takes a type only when every non-empty value fits it;
+// numbers with a leading zero (zip codes, ids) stay text so nothing is lost.
+const CSV_VALUE_TYPES = [
+    { type: 'number', test: v => /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(v) && !/^[-+]?0\d/.test(v), convert: Number },
+    { type: 'boolean', test: v => /^(true|false)$/i.test(v), convert: v => v.toLowerCase() === 'true' },
+    {
+        type: 'date',
+        test: v => /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(v) && !isNaN(Date.parse(v.replace(' ', 'T'))),
+        convert: v => new Date(v.replace(' ', 'T'))
+    }
+];
+
+/**
+ * Works out the type of each column from its values.
+ * @param {Array<Object>} rows - Rows of strings.
+ * @param {string[]} headers
+ * @returns {Object<string, string>} - 'number', 'boolean', 'date' or 'text' per header.
+ */
+function inferCsvColumnTypes(rows, headers) {
+    const types = {};
+    headers.forEach(header => {
+        const values = rows.map(row => row[header]).filter(value => value !== '' && value !== undefined);
+        const match = values.length > 0 && CSV_VALUE_TYPES.find(candidate => values.every(candidate.test));
+        types[header] = match ? match.type : 'text';
+    });
+    return types;
+}
+
+const XML_NAME = /[\p{L}_:][\p{L}\p{N}_.:-]*/uy;
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Parses an XML document into a light element tree: `{ name, attributes, children, parent }`, where
+ * children are elements and strings. Comments, processing instructions and the DOCTYPE are skipped.
+ * @param {string} text
+ * @returns {{name: '#document', children: Object[], elementCount: number}}
+ * @throws {Error} - With the line and column of the first problem.
+ */
+function parseXml(text) {
+    let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    let order = 0;
+    const fail = (message, at = pos) => {
+        const lines = text.slice(0, at).split(/\r\n|\r|\n/);
+        throw new Error(`Line ${lines.length}, column ${lines[lines.length - 1].length + 1}: ${message}`);
+    };
+    const readName = () => {
+        XML_NAME.lastIndex = pos;
+        const match = XML_NAME.exec(text);
+        if (!match) return null;
+        pos += match[0].length;
+        return match[0];
+    };
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const skipPast = (terminator, what) => {
+        const end = text.indexOf(terminator, pos);
+        if (end === -1) fail(`${what} is never closed.`);
+        const content = text.slice(pos, end);
+        pos = end + terminator.length;
+        return content;
+    };
+    const decode = (raw, at) => raw.replace(/&([^;&\s<]*)(;?)/g, (match, ref, semicolon, offset) => {
+        if (!semicolon) fail('A "&" must start an entity such as &amp;.', at + offset);
+        if (ref in XML_ENTITIES) return XML_ENTITIES[ref];
+        const code = /^#x[0-9a-f]+$/i.test(ref) ? parseInt(ref.slice(2), 16) : /^#\d+$/.test(ref) ? parseInt(ref.slice(1), 10) : NaN;
+        if (Number.isNaN(code) || code > 0x10FFFF) fail(`Unknown entity "&${ref};".`, at + offset);
+        return String.fromCodePoint(code);
+    });
+    // Comments, processing instructions and the DOCTYPE, which may appear around the root element.
+    const skipMisc = () => {
+        for (;;) {
+            skipSpace();
+            if (text.startsWith('<!--', pos)) {
+                pos += 4;
+                skipPast('-->', 'A comment');
+            } else if (text.startsWith('<?', pos)) {
+                pos += 2;
+                skipPast('?>', 'A processing instruction');
+            } else if (text.startsWith('<!DOCTYPE', pos)) {
+                const start = pos;
+                let depth = 0;
+                for (; pos < text.length; pos++) {
+                    if (text[pos] === '[') depth++;
+                    else if (text[pos] === ']') depth--;
+                    else if (text[pos] === '>' && depth === 0) break;
+                }
+                if (pos >= text.length) fail('The DOCTYPE is never closed.', start);
+                pos++;
+            } else {
+                return;
+            }
+        }
+    };
+
+    const parseElement = (parent) => {
+        const start = pos;
+        pos++; // '<'
+        const name = readName();
+        if (!name) fail('Expected an element name after "<".');
+        const element = { name, attributes: {}, children: [], parent, order: order++ };
+        for (;;) {
+            skipSpace();
+            if (text.startsWith('/>', pos)) {
+                pos += 2;
+                return element;
+            }
+            if (text[pos] === '>') {
+                pos++;
+                break;
+            }
+            if (pos >= text.length) fail(`The <${name}> tag is never closed.`, start);
+            const attributeStart = pos;
+            const attribute = readName();
+            if (!attribute) fail(`Unexpected "${text[pos]}" in the <${name}> tag.`);
+            if (attribute in element.attributes) fail(`Attribute "${attribute}" appears twice.`, attributeStart);
+            skipSpace();
+            if (text[pos] !== '=') fail(`Expected "=" after attribute "${attribute}".`);
+            pos++;
+            skipSpace();
+            const quote = text[pos];
+            if (quote !== '"' && quote !== "'") fail(`The value of attribute "${attribute}" must be quoted.`);
+            const valueStart = ++pos;
+            const end = text.indexOf(quote, pos);
+            if (end === -1) fail(`The value of attribute "${attribute}" is never closed.`, valueStart - 1);
+            const raw = text.slice(valueStart, end);
+            if (raw.includes('<')) fail(`"<" is not allowed in the value of attribute "${attribute}".`, valueStart + raw.indexOf('<'));
+            element.attributes[attribute] = decode(raw, valueStart);
+            pos = end + 1;
+        }
+
+        const addText = (value) => {
+            const last = element.children.length - 1;
+            if (typeof element.children[last] === 'string') element.children[last] += value;
+            else if (value) element.children.push(value);
+        };
+        for (;;) {
+            if (pos >= text.length) fail(`<${name}> is never closed.`, start);
+            if (text.startsWith('</', pos)) {
+                const closeStart = pos;
+                pos += 2;
+                const closing = readName();
+                if (closing !== name) fail(`Expected </${name}> but found </${closing || ''}>.`, closeStart);
+                skipSpace();
+                if (text[pos] !== '>') fail(`Expected ">" to end </${name}>.`);
+                pos++;
+                return element;
+            }
+            if (text.startsWith('<!--', pos)) {
+                pos += 4;
+                skipPast('-->', 'A comment');
+            } else if (text.startsWith('<![CDATA[', pos)) {
+                pos += 9;
+                addText(skipPast(']]>', 'A CDATA section'));
+            } else if (text.startsWith('<?', pos)) {
+                pos += 2;
+                skipPast('?>', 'A processing instruction');
+            } else if (text[pos] === '<') {
+                element.children.push(parseElement(element));
+            } else {
+                const end = text.indexOf('<', pos);
+                const textStart = pos;
+                pos = end === -1 ? text.length : end;
+                addText(decode(text.slice(textStart, pos), textStart));
+            }
+        }
+    };
+
+    const documentNode = { name: '#document', attributes: {}, children: [], parent: null, order: -1 };
+    skipMisc();
+    if (text[pos] !== '<') fail(pos >= text.length ? 'The document is empty.' : 'Expected the root element.');
+    documentNode.children.push(parseElement(documentNode));
+    skipMisc();
+    if (pos < text.length) fail('Only one root element is allowed; found more content after it.');
+    documentNode.elementCount = order;
+    return documentNode;
+}
+
+// The text of an element and all its descendants, as XPath's string value.
+function xmlStringValue(node) {
+    return typeof node === 'string' ? node : node.children.map(xmlStringValue).join('');
+}
+
+/**
+ * Converts a parsed element into plain data: attributes become prefixed keys, child elements become
+ * keys (an array when a name repeats), and text becomes a string, or `textKey` beside other keys.
+ * @param {Object} element - From parseXml.
+ * @param {{attrPrefix: string, textKey: string, ignoreAttributes: boolean, trimText: boolean, alwaysArray: boolean}} options
+ * @returns {Object|string}
+ */
+function xmlElementToJson(element, options) {
+    const result = {};
+    if (!options.ignoreAttributes) {
+        Object.entries(element.attributes).forEach(([name, value]) => {
+            result[options.attrPrefix + name] = value;
+        });
+    }
+    const childElements = element.children.filter(child => typeof child !== 'string');
+    let text = element.children.filter(child => typeof child === 'string').join('');
+    // Whitespace between child elements is layout, not content.
+    if (options.trimText || (childElements.length > 0 && !text.trim())) text = text.trim();
+
+    childElements.forEach(child => {
+        const value = xmlElementToJson(child, options);
+        if (!(child.name in result)) {
+            result[child.name] = options.alwaysArray ? [value] : value;
+        } else if (Array.isArray(result[child.name])) {
+            result[child.name].push(value);
+        } else {
+            result[child.name] = [result[child.name], value];
+        }
+    });
+    if (Object.keys(result).length === 0) return text;
+    if (text) result[options.textKey] = text;
+    return result;
+}
+
+/**
+ * Evaluates an XPath 1.0 location path against a parsed document. Supported: `/`, `//`, `.`, `..`,
+ * `*`, element names, a final `@attr`, `@*` or `text()` step, and predicates made of positions,
+ * `last()`, `position()`, comparisons (= != < <= > >=) of `@attr`, child names, `text()` and `.`
+ * with literals, `contains()`, `starts-with()`, `not()`, `and`, `or` and parentheses.
+ * @param {Object} documentNode - From parseXml.
+ * @param {string} xpath
+ * @returns {Array<Object>} - Matching elements, or `{ attribute, value }` / `{ text }` entries.
+ */
+function evaluateXPath(documentNode, xpath) {
+    const tokens = [];
+    const tokenPattern = /\s*(\/\/|\/|\.\.|\.|@\*|@[\p{L}_][\p{L}\p{N}_.:-]*|\*|\[|\]|\(|\)|,|!=|<=|>=|=|<|>|'[^']*'|"[^"]*"|\d+(?:\.\d+)?|[\p{L}_][\p{L}\p{N}_.:-]*)/uy;
+    let index = 0;
+    while (index < xpath.length) {
+        if (!xpath.slice(index).trim()) break;
+        tokenPattern.lastIndex = index;
+        const match = tokenPattern.exec(xpath);
+        if (!match) throw new Error(`Invalid XPath "${xpath}": unexpected "${xpath.slice(index).trim()[0]}" at position ${xpath.slice(0, index).length + 1}.`);
+        tokens.push(match[1]);
+        index = tokenPattern.lastIndex;
+    }
+    let at = 0;
+    const peek = () => tokens[at];
+    const fail = (message) => {
+        throw new Error(`Invalid XPath "${xpath}": ${message}`);
+    };
+    const expect = (token) => {
+        if (tokens[at] !== token) fail(`expected "${token}"${tokens[at] ? ` but found "${tokens[at]}"` : ' at the end'}.`);
+        at++;
+    };
+
+    const elementsOf = (node) => node.children.filter(child => typeof child !== 'string');
+    const descendantsOf = (node) => elementsOf(node).flatMap(child => [child, ...descendantsOf(child)]);
+
+    // Predicate expressions compile to functions of (element, position, size).
+    const parseOperand = () => {
+        const token = peek();
+        if (token === undefined) fail('the expression ends early.');
+        at++;
+        if (token === '(') {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (/^['"]/.test(token)) return () => token.slice(1, -1);
+        if (/^\d/.test(token)) return () => Number(token);
+        if (token === '.') return (el) => xmlStringValue(el);
+        if (token.startsWith('@')) return (el) => el.attributes[token.slice(1)];
+        const isCall = peek() === '(';
+        if (isCall) {
+            at++;
+            const args = [];
+            while (peek() !== ')') {
+                args.push(parseOr());
+                if (peek() === ',') at++;
+                else if (peek() !== ')') fail(`expected "," or ")" in ${token}().`);
+            }
+            at++;
+            const functions = {
+                'last': () => (el, position, size) => size,
+                'position': () => (el, position) => position,
+                'text': () => (el) => el.children.filter(child => typeof child === 'string').join(''),
+                'not': ([arg]) => (...context) => !truthy(arg(...context)),
+                'contains': ([a, b]) => (...context) => String(a(...context) ?? '').includes(String(b(...context) ?? '')),
+                'starts-with': ([a, b]) => (...context) => String(a(...context) ?? '').startsWith(String(b(...context) ?? ''))
+            };
+            if (!functions[token]) fail(`function ${token}() is not supported.`);
+            return functions[token](args);
+        }
+        // A child element name: its text, or undefined when there is no such child.
+        return (el) => {
+            const child = elementsOf(el).find(c => c.name === token || token === '*');
+            return child ? xmlStringValue(child) : undefined;
+        };
+    };
+    const truthy = (value) => value !== undefined && value !== false && value !== '' && !(typeof value === 'number' && Number.isNaN(value));
+    const compare = (op, a, b) => {
+        if (a === undefined || b === undefined) return op === '!=' ? a !== b : false;
+        const numeric = typeof a === 'number' || typeof b === 'number' || !['=', '!='].includes(op);
+        const [x, y] = numeric ? [Number(a), Number(b)] : [String(a), String(b)];
+        return { '=': x === y, '!=': x !== y, '<': x < y, '<=': x <= y, '>': x > y, '>=': x >= y }[op];
+    };
+    const parseComparison = () => {
+        const left = parseOperand();
+        const op = peek();
+        if (!['=', '!=', '<', '<=', '>', '>='].includes(op)) return left;
+        at++;
+        const right = parseOperand();
+        return (...context) => compare(op, left(...context), right(...context));
+    };
+    const parseAnd = () => {
+        let left = parseComparison();
+        while (peek() === 'and') {
+            at++;
+            const a = left, b = parseComparison();
+            left = (...context) => truthy(a(...context)) && truthy(b(...context));
+        }
+        return left;
+    };
+    const parseOr = () => {
+        let left = parseAnd();
+        while (peek() === 'or') {
+            at++;
+            const a = left, b = parseAnd();
+            left = (...context) => truthy(a(...context)) || truthy(b(...context));
+        }
+        return left;
+    };
+    const parsePredicate = () => {
+        expect('[');
+        const expression = parseOr();
+        expect(']');
+        // A number, e.g. [2] or [last()], selects by position, as in XPath.
+        return (el, position, size) => {
+            const value = expression(el, position, size);
+            return typeof value === 'number' ? value === position : truthy(value);
+        };
+    };
+
+    let context = [documentNode];
+    let result = null;
+    let axis = 'child';
+    if (peek() === '/' || peek() === '//') {
+        axis = peek() === '//' ? 'descendant' : 'child';
+        at++;
+    }
+    if (peek() === undefined) return elementsOf(documentNode);
+    for (;;) {
+        const token = peek();
+        if (token === undefined) fail('a step is missing after "/".');
+        at++;
+        if (token === '.' || token === '..') {
+            const base = axis === 'descendant' ? context.flatMap(node => [node, ...descendantsOf(node)]) : context;
+            context = token === '.' ? base : base.map(node => node.parent).filter(Boolean);
+        } else if (token.startsWith('@') || (token === 'text' && peek() === '(')) {
+            if (token === 'text') {
+                expect('(');
+                expect(')');
+            }
+            const owners = axis === 'descendant' ? context.flatMap(node => [node, ...descendantsOf(node)]) : context;
+            result = token === 'text'
+                ? owners.flatMap(node => node.children.filter(child => typeof child === 'string' && child.trim()).map(text => ({ text })))
+                : owners.flatMap(node => Object.entries(node.attributes)
+                    .filter(([name]) => token === '@*' || name === token.slice(1))
+                    .map(([attribute, value]) => ({ attribute, value })));
+            if (peek() !== undefined) fail(`"${token}" must be the last step.`);
+            return result;
+        } else if (token === '*' || /^[\p{L}_]/u.test(token)) {
+            const predicates = [];
+            while (peek() === '[') predicates.push(parsePredicate());
+            const matched = new Set();
+            // `//x[1]` is `/descendant-or-self::node()/x[1]`: positions count among the children of each parent.
+            const parents = axis === 'descendant' ? context.flatMap(node => [node, ...descendantsOf(node)]) : context;
+            parents.forEach(parent => {
+                let candidates = elementsOf(parent).filter(el => token === '*' || el.name === token);
+                predicates.forEach(predicate => {
+                    candidates = candidates.filter((el, i) => predicate(el, i + 1, candidates.length));
+                });
+                candidates.forEach(el => matched.add(el));
+            });
+            context = [...matched].sort((a, b) => a.order - b.order);
+        } else {
+            fail(`unexpected "${token}".`);
+        }
+        if (peek() === undefined) return context;
+        if (peek() !== '/' && peek() !== '//') fail(`expected "/" before "${peek()}".`);
+        axis = peek() === '//' ? 'descendant' : 'child';
+        at++;
+    }
+}
+
+/**
+ * Writes plain data as indented XML, the reverse of xmlElementToJson: keys starting with `attrPrefix`
+ * become attributes, `textKey` becomes text and arrays become repeated elements.
+ * @param {*} value
+ * @param {{rootName: string, attrPrefix: string, textKey: string, indent: number}} options - Without
+ *        `rootName`, an object with a single key uses that key as the root element.
+ * @returns {string}
+ */
+function serializeXml(value, { rootName, attrPrefix, textKey, indent }) {
+    const pad = ' '.repeat(Math.max(0, indent || 0));
+    const newline = pad ? '\n' : '';
+    const escapeText = (v) => String(v instanceof Date ? v.toISOString() : v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const escapeAttribute = (v) => escapeText(v).replace(/"/g, '&quot;');
+    const checkName = (name) => {
+        if (!/^[\p{L}_][\p{L}\p{N}_.-]*(:[\p{L}_][\p{L}\p{N}_.-]*)?$/u.test(name)) {
+            throw new Error(`"${name}" is not a valid XML element name.`);
+        }
+        return name;
+    };
+    const isAttribute = (key) => attrPrefix && key.startsWith(attrPrefix) && key !== textKey;
+
+    const writeElement = (name, data, depth) => {
+        const indentation = pad.repeat(depth);
+        checkName(name);
+        if (data === null || data === undefined) return `${indentation}<${name}/>`;
+        if (typeof data !== 'object' || data instanceof Date) return `${indentation}<${name}>${escapeText(data)}</${name}>`;
+        if (Array.isArray(data)) data = { item: data };
+
+        const attributes = Object.keys(data).filter(isAttribute)
+            .map(key => ` ${checkName(key.slice(attrPrefix.length))}="${escapeAttribute(data[key] ?? '')}"`).join('');
+        const text = data[textKey] !== undefined && data[textKey] !== null ? escapeText(data[textKey]) : '';
+        const children = Object.keys(data).filter(key => !isAttribute(key) && key !== textKey)
+            .flatMap(key => (Array.isArray(data[key]) ? data[key] : [data[key]]).map(item => writeElement(key, item, depth + 1)));
+        if (children.length === 0) {
+            return text ? `${indentation}<${name}${attributes}>${text}</${name}>` : `${indentation}<${name}${attributes}/>`;
+        }
+        const textLine = text ? `${pad.repeat(depth + 1)}${text}${newline}` : '';
+        return `${indentation}<${name}${attributes}>${newline}${textLine}${children.join(newline)}${newline}${indentation}</${name}>`;
+    };
+
+    let name = rootName;
+    let data = value;
+    if (!name) {
+        const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+        if (keys.length === 1 && !isAttribute(keys[0]) && keys[0] !== textKey && !Array.isArray(value[keys[0]])) {
+            [name] = keys;
+            data = value[name];
+        } else {
+            name = 'root';
+        }
+    }
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${writeElement(name, data, 0)}\n`;
+}
+
+// Metric functions of the Aggregate node. Each receives the non-empty values of its column in the group
+// (all rows for count); numeric ones skip values that are not numbers, and yield null when nothing is left.
+const AGGREGATE_FUNCTIONS = (() => {
+    const numbers = values => values.map(Number).filter(Number.isFinite);
+    const sum = values => numbers(values).reduce((total, n) => total + n, 0);
+    const mean = values => numbers(values).length > 0 ? sum(values) / numbers(values).length : null;
+    // Dates compare by time and numeric strings as numbers, anything else as text.
+    const order = (a, b) => {
+        const [x, y] = [a, b].map(v => (v instanceof Date ? v.getTime() : v));
+        const [nx, ny] = [Number(x), Number(y)];
+        if (typeof x !== 'boolean' && typeof y !== 'boolean' && x !== '' && y !== '' && Number.isFinite(nx) && Number.isFinite(ny)) return nx - ny;
+        return String(x).localeCompare(String(y));
+    };
+    const extreme = sign => values => values.length > 0 ? values.reduce((best, v) => (sign * order(v, best) > 0 ? v : best)) : null;
+    return {
+        sum,
+        count: values => values.length,
+        avg: mean,
+        min: extreme(-1),
+        max: extreme(1),
+        median: values => {
+            const sorted = numbers(values).sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            if (sorted.length === 0) return null;
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        },
+        distinct: values => new Set(values.map(v => (v instanceof Date ? v.getTime() : typeof v === 'object' ? JSON.stringify(v) : v))).size,
+        first: values => values.length > 0 ? values[0] : null,
+        last: values => values.length > 0 ? values[values.length - 1] : null,
+        // Sample standard deviation; a single value has none.
+        stddev: values => {
+            const list = numbers(values);
+            if (list.length < 2) return null;
+            const average = mean(list);
+            return Math.sqrt(list.reduce((total, n) => total + (n - average) ** 2, 0) / (list.length - 1));
+        },
+        concat: values => values.map(v => (v instanceof Date ? v.toISOString() : typeof v === 'object' ? JSON.stringify(v) : String(v))).join(', ')
+    };
+})();
+
+/**
+ * Parses Aggregate metrics, one per line: "sum(revenue)", "count(*)" or "median(price) as typical_price".
+ * @param {string} text
+ * @returns {Array<{func: string, column: string, name: string}>} - `column` is '' for count(*).
+ */
+function parseAggregateMetrics(text) {
+    return text.split('\n').map((line, i) => ({ line: line.replace(/\/\/.*$/, '').trim(), number: i + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            const match = /^(\w+)\s*\(\s*(.*?)\s*\)(?:\s+as\s+(.+))?$/i.exec(line);
+            if (!match) throw new Error(`Metric line ${number}: expected function(column), e.g. sum(revenue) or count(*).`);
+            const func = match[1].toLowerCase();
+            const column = match[2] === '*' ? '' : match[2];
+            if (!AGGREGATE_FUNCTIONS[func]) {
+                throw new Error(`Metric line ${number}: unknown function "${match[1]}". Expected one of: ${Object.keys(AGGREGATE_FUNCTIONS).join(', ')}.`);
+            }
+            if (!column && func !== 'count') throw new Error(`Metric line ${number}: ${func} needs a column.`);
+            return { func, column, name: match[3] ? match[3].trim() : (column ? `${func}_of_${column}` : func) };
+        });
+}
+
+const CHART_TYPES = ['bar', 'stacked_bar', 'line', 'area', 'scatter', 'pie'];
+const CHART_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+/**
+ * Round tick values covering [min, max], about `count` of them.
+ * @returns {number[]}
+ */
+function niceChartTicks(min, max, count = 5) {
+    if (min === max) {
+        const pad = Math.abs(min) * 0.1 || 1;
+        [min, max] = [min - pad, max + pad];
+    }
+    const rough = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(candidate => candidate >= rough);
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick <= Math.ceil(max / step) * step + step / 2; tick += step) {
+        ticks.push(Number(tick.toPrecision(12)));
+    }
+    return ticks;
+}
+
+/**
+ * Draws table rows as an SVG chart. Without a `series` column every `y` column is a series; with
+ * one, rows are split by its values and the first `y` column is plotted. Bars, lines and areas sum
+ * the rows that share an x value and series; scatter plots every row. Line and area charts use a
+ * linear x axis when every x value is a number or a date, and one slot per value otherwise.
+ * @param {Array<Object>} rows
+ * @param {{type: string, x: string, y: string[], series: string, title: string, width: number, height: number}} options
+ * @returns {{svg: string, xValues: number, series: number, skipped: number}} - `skipped` counts y
+ *          values that are not numbers (and, on a linear axis, x values that are not).
+ */
+function renderChartSvg(rows, { type, x, y, series, title, width, height }) {
+    const escape = v => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const label = v => (v instanceof Date ? v.toISOString().replace(/T00:00:00\.000Z$/, '') : v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+    const shorten = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+    const formatNumber = n => (Math.abs(n) >= 1e6 ? `${Number((n / 1e6).toPrecision(4))}M` : Math.abs(n) >= 1e4 ? `${Number((n / 1e3).toPrecision(4))}k` : String(Number(n.toPrecision(6))));
+    const round = n => Math.round(n * 10) / 10;
+    // Spreading a large table into Math.min/max overflows the call stack, so extents are folded.
+    const extent = list => list.reduce(([min, max], v) => [Math.min(min, v), Math.max(max, v)], [Infinity, -Infinity]);
+
+    let skipped = 0;
+    const points = [];
+    rows.forEach(row => {
+        const plotted = series ? [{ name: label(row[series]), column: y[0] }] : y.map(column => ({ name: column, column }));
+        plotted.forEach(({ name, column }) => {
+            const raw = row[column];
+            const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+            if (Number.isFinite(value)) points.push({ series: name, x: row[x], y: value });
+            else skipped++;
+        });
+    });
+
+    const linear = type === 'scatter' || ((type === 'line' || type === 'area') && points.length > 0
+        && points.every(point => typeof point.x === 'number' || point.x instanceof Date));
+    const dates = linear && points.length > 0 && points.every(point => point.x instanceof Date);
+    const plottable = linear
+        ? points.filter(point => {
+            point.xValue = point.x instanceof Date ? point.x.getTime() : point.x === '' || point.x === null ? NaN : Number(point.x);
+            if (!Number.isFinite(point.xValue)) skipped++;
+            return Number.isFinite(point.xValue);
+        })
+        : points;
+
+    const seriesNames = [...new Set(plottable.map(point => point.series))];
+    const categories = linear ? [] : [...new Set(plottable.map(point => label(point.x)))];
+    // series name -> x key -> summed value (every point for scatter)
+    const sums = new Map(seriesNames.map(name => [name, new Map()]));
+    if (type !== 'scatter') {
+        plottable.forEach(point => {
+            const key = linear ? point.xValue : label(point.x);
+            const bySeries = sums.get(point.series);
+            bySeries.set(key, (bySeries.get(key) || 0) + point.y);
+        });
+    }
+    const xValues = linear ? new Set(plottable.map(point => point.xValue)).size : categories.length;
+
+    const parts = [`<rect width="${width}" height="${height}" fill="#ffffff"/>`];
+    const top = title ? 32 : 14;
+    if (title) parts.push(`<text x="${width / 2}" y="20" text-anchor="middle" font-size="13" font-weight="bold" fill="#222">${escape(title)}</text>`);
+    // Pie slices are the categories with a positive total; the legend lists only those that are drawn.
+    const slices = type === 'pie'
+        ? categories.map(category => ({ category, value: sums.get(seriesNames[0]).get(category) || 0 }))
+            .filter(slice => slice.value > 0)
+            .map((slice, i) => ({ ...slice, color: CHART_COLORS[i % CHART_COLORS.length] }))
+        : [];
+    const legendItems = type === 'pie' ? slices.map(slice => slice.category) : seriesNames.length > 1 ? seriesNames : [];
+    const legendWidth = legendItems.length > 0 ? Math.min(140, 24 + 6.5 * extent(legendItems.map(item => Math.min(item.length, 16)))[1]) : 0;
+    const plot = { left: type === 'pie' ? 12 : 54, right: width - 12 - legendWidth, top, bottom: height - (type === 'pie' ? 12 : 42) };
+    const plotWidth = Math.max(10, plot.right - plot.left);
+    const plotHeight = Math.max(10, plot.bottom - plot.top);
+    const color = i => CHART_COLORS[i % CHART_COLORS.length];
+    const finish = () => `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">${parts.join('')}</svg>`;
+
+    if (plottable.length === 0) {
+        parts.push(`<text x="${width / 2}" y="${height / 2}" text-anchor="middle" fill="#888">No numeric values to chart</text>`);
+        return { svg: finish(), xValues: 0, series: 0, skipped };
+    }
+
+    legendItems.forEach((item, i) => {
+        const itemY = top + 4 + i * 16;
+        if (itemY > height - 12) return;
+        parts.push(`<rect x="${width - legendWidth}" y="${itemY}" width="10" height="10" fill="${color(i)}"/>`
+            + `<text x="${width - legendWidth + 15}" y="${itemY + 9}" fill="#333">${escape(shorten(item, 16))}</text>`);
+    });
+
+    if (type === 'pie') {
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        const [cx, cy, r] = [plot.left + plotWidth / 2, plot.top + plotHeight / 2, Math.min(plotWidth, plotHeight) / 2];
+        let angle = -Math.PI / 2;
+        slices.forEach(slice => {
+            const sweep = (slice.value / total) * Math.PI * 2;
+            const tooltip = `<title>${escape(`${slice.category}: ${formatNumber(slice.value)} (${Math.round((slice.value / total) * 100)}%)`)}</title>`;
+            if (slices.length === 1) {
+                parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}" fill="${slice.color}">${tooltip}</circle>`);
+            } else {
+                const point = a => `${round(cx + r * Math.cos(a))} ${round(cy + r * Math.sin(a))}`;
+                parts.push(`<path d="M ${round(cx)} ${round(cy)} L ${point(angle)} A ${round(r)} ${round(r)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(angle + sweep)} Z" fill="${slice.color}" stroke="#fff">${tooltip}</path>`);
+            }
+            if (sweep > 0.3) {
+                const middle = angle + sweep / 2;
+                parts.push(`<text x="${round(cx + r * 0.65 * Math.cos(middle))}" y="${round(cy + r * 0.65 * Math.sin(middle) + 4)}" text-anchor="middle" fill="#fff">${Math.round((slice.value / total) * 100)}%</text>`);
+            }
+            angle += sweep;
+        });
+        return { svg: finish(), xValues, series: seriesNames.length, skipped };
+    }
+
+    // Y axis: stacked bars span the positive and negative totals per x value; bars and areas always include zero.
+    let values = type === 'scatter' ? plottable.map(point => point.y) : [...sums.values()].flatMap(bySeries => [...bySeries.values()]);
+    if (type === 'stacked_bar') {
+        values = categories.flatMap(category => {
+            const stack = seriesNames.map(name => sums.get(name).get(category) || 0);
+            return [stack.filter(v => v > 0).reduce((a, b) => a + b, 0), stack.filter(v => v < 0).reduce((a, b) => a + b, 0)];
+        });
+    }
+    const includeZero = type !== 'line' && type !== 'scatter';
+    const yTicks = niceChartTicks(...extent(includeZero ? [...values, 0] : values));
+    const [yMin, yMax] = [yTicks[0], yTicks[yTicks.length - 1]];
+    const scaleY = v => plot.bottom - ((v - yMin) / (yMax - yMin)) * plotHeight;
+    yTicks.forEach(tick => {
+        parts.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${round(scaleY(tick))}" y2="${round(scaleY(tick))}" stroke="#e5e5e5"/>`
+            + `<text x="${plot.left - 6}" y="${round(scaleY(tick) + 4)}" text-anchor="end" fill="#555">${formatNumber(tick)}</text>`);
+    });
+    const baseline = scaleY(Math.min(Math.max(0, yMin), yMax));
+
+    // X axis: linear for scatter and numeric lines, otherwise one slot per x value.
+    let scaleX;
+    if (linear) {
+        // Dates tick on whole days.
+        const unit = dates ? 86400000 : 1;
+        const [xMinValue, xMaxValue] = extent(plottable.map(point => point.xValue));
+        const xTicks = niceChartTicks(xMinValue / unit, xMaxValue / unit, dates ? 4 : 5)
+            .map(tick => tick * unit);
+        const [xMin, xMax] = [xTicks[0], xTicks[xTicks.length - 1]];
+        scaleX = v => plot.left + ((v - xMin) / (xMax - xMin)) * plotWidth;
+        xTicks.forEach(tick => {
+            parts.push(`<text x="${round(scaleX(tick))}" y="${plot.bottom + 16}" text-anchor="middle" fill="#555">${escape(dates ? new Date(tick).toISOString().slice(0, 10) : formatNumber(tick))}</text>`);
+        });
+    } else {
+        const band = plotWidth / categories.length;
+        scaleX = i => plot.left + band * (i + 0.5);
+        const every = Math.max(1, Math.ceil(categories.length / Math.max(1, Math.floor(plotWidth / 48))));
+        categories.forEach((category, i) => {
+            if (i % every === 0) {
+                parts.push(`<text x="${round(scaleX(i))}" y="${plot.bottom + 16}" text-anchor="middle" fill="#555">${escape(shorten(category, 10))}<title>${escape(category)}</title></text>`);
+            }
+        });
+    }
+    parts.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${round(baseline)}" y2="${round(baseline)}" stroke="#999"/>`);
+    if (x) parts.push(`<text x="${plot.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle" fill="#333">${escape(x)}</text>`);
+
+    if (type === 'bar' || type === 'stacked_bar') {
+        const band = plotWidth / categories.length;
+        const barWidth = type === 'bar' ? (band * 0.8) / seriesNames.length : band * 0.8;
+        categories.forEach((category, i) => {
+            let [up, down] = [0, 0];
+            seriesNames.forEach((name, s) => {
+                const value = sums.get(name).get(category);
+                if (value === undefined) return;
+                let from = 0;
+                if (type === 'stacked_bar') {
+                    from = value >= 0 ? up : down;
+                    if (value >= 0) up += value; else down += value;
+                }
+                const [y1, y2] = [scaleY(from), scaleY(from + value)];
+                const barX = scaleX(i) - band * 0.4 + (type === 'bar' ? s * barWidth : 0);
+                parts.push(`<rect x="${round(barX)}" y="${round(Math.min(y1, y2))}" width="${round(Math.max(1, barWidth - 1))}" height="${round(Math.abs(y2 - y1))}" fill="${color(s)}">`
+                    + `<title>${escape(`${seriesNames.length > 1 ? `${name} · ` : ''}${category}: ${formatNumber(value)}`)}</title></rect>`);
+            });
+        });
+    } else if (type === 'scatter') {
+        plottable.forEach(point => {
+            parts.push(`<circle cx="${round(scaleX(point.xValue))}" cy="${round(scaleY(point.y))}" r="3.5" fill="${color(seriesNames.indexOf(point.series))}" fill-opacity="0.75">`
+                + `<title>${escape(`${label(point.x)}, ${formatNumber(point.y)}`)}</title></circle>`);
+        });
+    } else {
+        seriesNames.forEach((name, s) => {
+            const bySeries = sums.get(name);
+            // Categories without a value break the line into segments.
+            const segments = [[]];
+            if (linear) {
+                [...bySeries].sort((a, b) => a[0] - b[0]).forEach(([key, value]) => segments[0].push([scaleX(key), scaleY(value)]));
+            } else {
+                categories.forEach((category, i) => {
+                    if (bySeries.has(category)) segments[segments.length - 1].push([scaleX(i), scaleY(bySeries.get(category))]);
+                    else if (segments[segments.length - 1].length > 0) segments.push([]);
+                });
+            }
+            // Past one point per pixel the markers only blur the line and bloat the SVG.
+            const markers = segments.reduce((count, segment) => count + segment.length, 0) <= plotWidth;
+            segments.filter(segment => segment.length > 0).forEach(segment => {
+                const line = segment.map(([px, py], i) => `${i === 0 ? 'M' : 'L'} ${round(px)} ${round(py)}`).join(' ');
+                if (type === 'area') {
+                    parts.push(`<path d="${line} L ${round(segment[segment.length - 1][0])} ${round(baseline)} L ${round(segment[0][0])} ${round(baseline)} Z" fill="${color(s)}" fill-opacity="0.3"/>`);
+                }
+                parts.push(`<path d="${line}" fill="none" stroke="${color(s)}" stroke-width="2"/>`);
+                if (segment.length === 1 || (type === 'line' && markers)) {
+                    segment.forEach(([px, py]) => parts.push(`<circle cx="${round(px)}" cy="${round(py)}" r="2.5" fill="${color(s)}"/>`));
+                }
+            });
+        });
+    }
+    return { svg: finish(), xValues, series: seriesNames.length, skipped };
+}
+
+class LibertasCore {
+    constructor() {
+        this.nodes = new Map();
+        this.connections = [];
+        this.cyclicConnections = new Set();
+        this.nodeCounter = 0;
+
+        this.sandbox = {
+            worker: null,
+            nextJobId: 0,
+            pending: new Map()
+        };
+
+        this.executionMode = 'live'; // 'live', 'manual'
+        this.execution = {
+            current: Promise.resolve(),
+            scheduled: null
+        };
+
+        this.variables = {}; // name -> value, see setVariable()
+
+        this.nodeTypes = new Map(); // type -> definition, see registerNodeType()
+        this.registerBuiltInNodeTypes();
+    }
+
+    registerBuiltInNodeTypes() {
+        // Every node type declares the data type of each socket; sockets left out default to 'any'.
+        // An input declared as { type, multi: true } accepts several wires and receives their values in order.
+        // Params are the node's settings: the values its processor reads and a session saves.
+        const textParam = (name, defaultValue = '') => ({ name, type: 'textarea', default: defaultValue });
+        const timeoutParam = { name: 'timeout', type: 'number', default: 1000 };
+        const defaultLogic = `// Modify the 'row' object and return it.\n// Example: return { ...row, new_prop: 'value' };\nreturn row;`;
+        [
+            { type: 'text', category: 'General', title: 'Text Node', process: this.processTextNode, params: [textParam('text')], sockets: { inputs: { text_in: 'text' }, outputs: { text_out: 'text' } } },
+            { type: 'find_replace', category: 'General', title: 'Find & Replace', process: this.processFindReplaceNode, params: [{ name: 'find', type: 'text' }, { name: 'replace', type: 'text' }, { name: 'regex', type: 'checkbox', default: false }, { name: 'global', type: 'checkbox', default: true }, { name: 'case_sensitive', type: 'checkbox', default: false }], sockets: { inputs: { input_text: 'text' }, outputs: { output_text: 'text' } } },
+            { type: 'import', category: 'Data Processing', title: 'Import', process: this.processImportNode, params: [textParam('data_out')], sockets: { inputs: {}, outputs: { data_out: 'text' } } },
+            { type: 'export', category: 'Data Processing', title: 'Export', process: this.processExportNode, sockets: { inputs: { data_in: { type: 'any', multi: true } }, outputs: {} } },
+            { type: 'csv', category: 'Data Processing', title: 'CSV', process: this.processCsvNode, params: [{ name: 'delimiter', type: 'select', options: ['auto', ',', ';', 'tab', '|'], default: 'auto' }, { name: 'quote', type: 'select', options: ['"', "'", 'none'], default: '"' }, { name: 'header', type: 'checkbox', default: true }, { name: 'infer_types', type: 'checkbox', default: true }, { name: 'trim', type: 'checkbox', default: true }], sockets: { inputs: { csv_in: 'text' }, outputs: { data_out: 'table' } } },
+            { type: 'json', category: 'Data Processing', title: 'JSON', process: this.processJsonNode, params: [{ name: 'operation', type: 'select', options: ['parse', 'stringify'], default: 'parse' }], sockets: { inputs: { data_in: 'any' }, outputs: { data_out: 'any' } } },
+            { type: 'xml', category: 'Data Processing', title: 'XML', process: this.processXmlNode, params: [{ name: 'operation', type: 'select', options: ['parse', 'serialize'], default: 'parse' }, { name: 'xpath', type: 'text' }, { name: 'attr_prefix', type: 'text', default: '@' }, { name: 'text_key', type: 'text', default: '#text' }, { name: 'ignore_attributes', type: 'checkbox', default: false }, { name: 'trim_text', type: 'checkbox', default: true }, { name: 'always_array', type: 'checkbox', default: false }, { name: 'root_name', type: 'text' }, { name: 'indent', type: 'number', default: 2 }], sockets: (options) => this.getXmlSockets(this.normalizeParams('xml', options.params || {})) },
+            { type: 'filter', category: 'Data Processing', title: 'Filter', process: this.processFilterNode, params: [textParam('condition'), timeoutParam], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'transform', category: 'Data Processing', title: 'Transform', process: this.processTransformNode, params: [textParam('logic', defaultLogic), timeoutParam], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'merge', category: 'Data Processing', title: 'Merge', process: this.processMergeNode, params: [{ name: 'key', type: 'text' }, { name: 'join', type: 'select', options: ['inner', 'left', 'right', 'full', 'semi', 'anti'], default: 'left' }, { name: 'conflict', type: 'select', options: ['suffix', 'prefix', 'overwrite'], default: 'suffix' }, { name: 'conflict_tag', type: 'text', default: 'right' }], sockets: { inputs: { data_in_1: 'table', data_in_2: { type: 'table', multi: true } }, outputs: { data_out: 'table' } } },
+            { type: 'switch', category: 'Data Processing', title: 'Switch', process: this.processSwitchNode, params: [{ name: 'mode', type: 'select', options: ['value', 'rows'], default: 'value' }, textParam('branches', "value.label === 'Positive'\nvalue.label === 'Negative'"), timeoutParam], sockets: (options) => this.getSwitchSockets(this.normalizeParams('switch', options.params || {})) },
+            { type: 'split', category: 'Data Processing', title: 'Split', process: this.processSplitNode, params: [{ name: 'mode', type: 'select', options: ['predicate', 'ratio', 'chunk', 'text'], default: 'predicate' }, textParam('condition'), { name: 'ratio', type: 'number', default: 0.8 }, { name: 'seed', type: 'text' }, { name: 'chunks', type: 'number', default: 2 }, { name: 'delimiter', type: 'text', default: ',' }, { name: 'regex', type: 'checkbox', default: false }, { name: 'skip_empty', type: 'checkbox', default: true }, timeoutParam], sockets: (options) => this.getSplitSockets(this.normalizeParams('split', options.params || {})) },
+            { type: 'aggregate', category: 'Data Processing', title: 'Aggregate', process: this.processAggregateNode, params: [{ name: 'groupBy', type: 'text' }, { name: 'aggFunc', type: 'select', options: Object.keys(AGGREGATE_FUNCTIONS), default: 'sum' }, { name: 'aggKey', type: 'text' }, textParam('metrics'), { name: 'mode', type: 'select', options: ['group', 'pivot'], default: 'group' }, { name: 'pivot', type: 'text' }], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'sort', category: 'Data Processing', title: 'Sort', process: this.processSortNode, params: [{ name: 'columns', type: 'text' }, { name: 'collation', type: 'select', options: ['natural', 'numeric', 'locale'], default: 'natural' }, { name: 'locale', type: 'text' }], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'dedupe', category: 'Data Processing', title: 'Dedupe', process: this.processDedupeNode, params: [{ name: 'columns', type: 'text' }, { name: 'keep', type: 'select', options: ['first', 'last'], default: 'first' }], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'limit', category: 'Data Processing', title: 'Limit', process: this.processLimitNode, params: [{ name: 'offset', type: 'number', default: 0 }, { name: 'limit', type: 'number', default: 10 }], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'sample', category: 'Data Processing', title: 'Sample', process: this.processSampleNode, params: [{ name: 'size', type: 'number', default: 10 }, { name: 'seed', type: 'text' }], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'table_view', category: 'Data Processing', title: 'Table', process: this.processTableViewNode, params: [textParam('edits', '{}'), { name: 'key_column', type: 'text' }, { name: 'sort_column', type: 'text' }, { name: 'sort_desc', type: 'checkbox', default: false }, textParam('widths', '{}')], sockets: { inputs: { data_in: 'table' }, outputs: { data_out: 'table' } } },
+            { type: 'spell_check', category: 'Automation', title: 'Spell Check', process: this.requireBrowser, sockets: { inputs: { text_in: 'text' }, outputs: { text_out: 'text' } } },
+            { type: 'translation', category: 'Automation', title: 'Translation', process: this.processTranslationNode, params: [{ name: 'targetLang', type: 'select', options: ['es', 'fr', 'de', 'ja'], default: 'es' }], sockets: { inputs: { text_in: 'text' }, outputs: { text_out: 'text' } } },
+            { type: 'summarization', category: 'Automation', title: 'Summarization', process: this.processSummarizationNode, sockets: { inputs: { text_in: 'text' }, outputs: { text_out: 'text' } } },
+            { type: 'sentiment_analysis', category: 'Automation', title: 'Sentiment Analysis', process: this.processSentimentAnalysisNode, sockets: { inputs: { text_in: 'text' }, outputs: { sentiment: 'object' } } },
+            { type: 'auto_format', category: 'Automation', title: 'Auto-Format', process: this.processAutoFormatNode, params: [{ name: 'formatType', type: 'select', options: ['js', 'html', 'css', 'json'], default: 'js' }], sockets: { inputs: { text_in: 'text' }, outputs: { text_out: 'text' } } },
+            { type: 'template', category: 'Automation', title: 'Template', process: this.processTemplateNode, params: [textParam('template', 'Hello {{name}}, your balance is ${{balance}}.'), textParam('variables', '{}')], sockets: { inputs: { template_in: 'text', data_in: { type: 'any', multi: true } }, outputs: { text_out: 'text' } } },
+            { type: 'macro', category: 'Automation', title: 'Macro', process: this.processMacroNode, params: [textParam('steps', '// Example: [{ "node": "find_replace", "params": { "find": "old", "replace": "new" } }]')], sockets: { inputs: { input_data: 'any' }, outputs: { output_data: 'any' } } },
+            { type: 'ocr', category: 'Automation', title: 'OCR', process: this.requireBrowser, sockets: { inputs: {}, outputs: { text_out: 'text' } } },
+            { type: 'tts', category: 'Automation', title: 'TTS', process: this.requireBrowser, params: [{ name: 'voice', type: 'text' }, { name: 'rate', type: 'number', default: 1 }, { name: 'pitch', type: 'number', default: 1 }], sockets: { inputs: { text_in: 'text' }, outputs: {} } },
+            { type: 'email', category: 'Publishing', title: 'Email', process: this.requireBrowser, params: [{ name: 'to', type: 'text' }, { name: 'subject', type: 'text' }], sockets: { inputs: { text_in: 'text' }, outputs: {} } },
+            { type: 'pdf', category: 'Publishing', title: 'PDF Render', process: this.requireBrowser, sockets: { inputs: { text_in: 'text' }, outputs: {} } },
+            { type: 'chart', category: 'Publishing', title: 'Chart', process: this.processChartNode, params: [{ name: 'chart_type', type: 'select', options: CHART_TYPES, default: 'bar' }, { name: 'x', type: 'text' }, { name: 'y', type: 'text' }, { name: 'series', type: 'text' }, { name: 'title', type: 'text' }, { name: 'width', type: 'number', default: 480 }, { name: 'height', type: 'number', default: 300 }], sockets: { inputs: { data_in: 'table' }, outputs: { svg_out: { type: 'text', label: 'SVG' } } } },
+            { type: 'html_render', category: 'Publishing', title: 'HTML Render', process: this.processHtmlRenderNode, params: [textParam('text')], sockets: { inputs: { text_in: 'text' }, outputs: { text_out: 'text' } } },
+            { type: 'qr_code', category: 'Publishing', title: 'QR Code', process: this.requireBrowser, sockets: { inputs: { text_in: 'text' }, outputs: {} } },
+            { type: 'social_share', category: 'Publishing', title: 'Social Share', process: this.requireBrowser, sockets: { inputs: { text_in: 'text' }, outputs: {} } },
+            { type: 'screenshot', category: 'Publishing', title: 'Screenshot', process: this.requireBrowser, sockets: { inputs: {}, outputs: {} } },
+            { type: 'print', category: 'Publishing', title: 'Print', process: this.requireBrowser, sockets: { inputs: { text_in: 'text' }, outputs: {} } },
+            { type: 'container', category: 'Layout & Structure', title: 'Container' },
+            { type: 'column', category: 'Layout & Structure', title: 'Column' },
+            { type: 'grid', category: 'Layout & Structure', title: 'Grid' },
+            { type: 'flex', category: 'Layout & Structure', title: 'Flex' },
+            { type: 'tabs', category: 'Layout & Structure', title: 'Tabs' },
+            { type: 'accordion', category: 'Layout & Structure', title: 'Accordion' },
+            { type: 'card', category: 'Layout & Structure', title: 'Card' },
+            { type: 'sidebar', category: 'Layout & Structure', title: 'Sidebar' },
+            { type: 'header_footer', category: 'Layout & Structure', title: 'Header/Footer' },
+            { type: 'spacer', category: 'Layout & Structure', title: 'Spacer' },
+            // A group's sockets are the wires that crossed the selection it was collapsed from.
+            { type: 'group', hidden: true, process: this.processGroupNode, sockets: (options) => this.getGroupSockets(options.subgraph) },
+            // A for-each node runs its subgraph once per item of the array arriving on its first input.
+            { type: 'for_each', hidden: true, process: this.processForEachNode, params: [{ name: 'on_error', type: 'select', options: ['skip', 'null', 'stop'], default: 'skip' }], sockets: (options) => this.getForEachSockets(options.subgraph) },
+        ].forEach(definition => this.registerNodeType(definition));
+    }
+
+    /**
+     * Adds a node type to the registry, making it available to the execution engine and, in the IDE,
+     * to the Add Node sidebar.
+     * @param {Object} definition
+     * @param {string} definition.type - Unique identifier stored in sessions (letters, digits, `_` and `-`).
+     * @param {string} [definition.category='Custom'] - Add Node sidebar section.
+     * @param {string} [definition.title] - Name shown in the sidebar and, for generated content, the node header.
+     * @param {{inputs: Object, outputs: Object}|function(Object): Object} [definition.sockets] - Socket name to a
+     *        type from SOCKET_TYPES, or to `{ type, multi, label }`. A function receives the createNode options.
+     * @param {Array<{name: string, label?: string, type?: string, default?: *, options?: string[]}>} [definition.params] -
+     *        The node's settings, kept in `nodeData.params`. `type` is text, textarea, number, checkbox or select;
+     *        generated content renders a control for each.
+     * @param {function(Object): string} [definition.render] - Returns the node's HTML for the createNode options.
+     *        When omitted, the content is generated from `title`, `sockets` and `params`.
+     * @param {function(Object, LibertasCore): (void|Promise)} [definition.process] - Reads inputs with
+     *        `ide.getInputValue` and `ide.getParams(nodeData)`, writes `nodeData.outputs` (and optionally
+     *        `nodeData.status` via `ide.setStatus`) and throws on failure. It must not touch the DOM.
+     * @param {boolean} [definition.hidden=false] - Keep the type out of the Add Node sidebar.
+     * @returns {Object} - The stored definition.
+     */
+    registerNodeType(definition) {
+        const { type } = definition || {};
+        if (typeof type !== 'string' || !/^[A-Za-z][\w-]*$/.test(type)) {
+            throw new Error(`Invalid node type "${type}": use letters, digits, "_" or "-", starting with a letter.`);
+        }
+        if (this.nodeTypes.has(type)) {
+            throw new Error(`Node type "${type}" is already registered.`);
+        }
+        if (definition.render !== undefined && typeof definition.render !== 'function') {
+            throw new Error(`Node type "${type}": render must be a function.`);
+        }
+        if (definition.process !== undefined && typeof definition.process !== 'function') {
+            throw new Error(`Node type "${type}": process must be a function.`);
+        }
+        if (definition.sockets && typeof definition.sockets !== 'function') {
+            ['inputs', 'outputs'].forEach(direction => {
+                Object.entries(definition.sockets[direction] || {}).forEach(([name, spec]) => {
+                    const socketType = typeof spec === 'string' ? spec : spec && spec.type;
+                    if (!SOCKET_TYPES[socketType]) {
+                        throw new Error(`Node type "${type}": socket "${name}" has unknown type "${socketType}" (expected one of ${Object.keys(SOCKET_TYPES).join(', ')}).`);
+                    }
+                });
+            });
+        }
+        (definition.params || []).forEach(param => {
+            if (!param || typeof param.name !== 'string' || !param.name) {
+                throw new Error(`Node type "${type}": every param needs a name.`);
+            }
+            if (param.type !== undefined && !PARAM_TYPES.includes(param.type)) {
+                throw new Error(`Node type "${type}": param "${param.name}" has unknown type "${param.type}" (expected one of ${PARAM_TYPES.join(', ')}).`);
+            }
+            if (param.type === 'select' && (!Array.isArray(param.options) || param.options.length === 0)) {
+                throw new Error(`Node type "${type}": select param "${param.name}" needs a list of options.`);
+            }
+        });
+
+        const stored = {
+            category: 'Custom',
+            title: type,
+            params: [],
+            hidden: false,
+            ...definition,
+            sockets: typeof definition.sockets === 'function'
+                ? definition.sockets
+                : { inputs: {}, outputs: {}, ...definition.sockets }
+        };
+        this.nodeTypes.set(type, stored);
+        return stored;
+    }
+
+    // Returns the node type's process function bound to the core, or null for types that never run.
+    getNodeProcessor(type) {
+        const definition = this.nodeTypes.get(type);
+        if (!definition) {
+            return () => { throw new Error(`Node type "${type}" is not registered. Load the node pack that provides it.`); };
+        }
+        return definition.process ? (nodeData) => definition.process.call(this, nodeData, this) : null;
+    }
+
+    // Stands in for the processors of node types whose work needs a browser (speech, printing, file
+    // pickers, third-party widgets). NodeBasedIDE replaces it with the real processor.
+    requireBrowser(nodeData) {
+        throw new Error(`${this.getModelTitle(nodeData)} needs a browser and cannot run headlessly.`);
+    }
+
+    // --- NODE DATA MODEL ---
+
+    /**
+     * Builds the plain data a node is made of. Processors read and write only this object, so the
+     * same node runs with or without a view; NodeBasedIDE adds `element` and binds its controls to `params`.
+     * @param {string} type
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {Object} [options.params] - Saved settings; missing ones take the type's defaults.
+     * @param {Object} [options.subgraph] - Inner graph of a group node.
+     * @param {{inputs: string[], outputs: string[]}} [options.missingSockets] - Socket names to keep on
+     *        a node whose type is not registered, so its wires survive until the type is loaded.
+     * @returns {Object}
+     */
+    createNodeModel(type, id, options = {}) {
+        const definition = this.nodeTypes.get(type);
+        const nodeData = {
+            id, type,
+            params: definition ? this.normalizeParams(type, options.params || {}) : { ...options.params },
+            inputs: {}, outputs: {},
+            status: undefined, // { text, level } from the last run; undefined until the node has run
+            display: {}, // results a view shows besides the outputs, e.g. the text an Export node writes
+            subgraph: options.subgraph,
+            bypassed: !!options.bypassed,
+            muted: !!options.muted,
+            errorOutput: false,
+            error: null, // { message, nodeId, nodeTitle, upstream } while the node is failed
+            inactiveOutputs: new Set() // outputs that carry no value after the last run
+        };
+        if (definition) {
+            nodeData.sockets = (typeof definition.sockets === 'function' ? definition.sockets(options) : definition.sockets) || { inputs: {}, outputs: {} };
+        } else {
+            const { inputs = [], outputs = [] } = options.missingSockets || {};
+            nodeData.missingType = type;
+            nodeData.sockets = {
+                inputs: Object.fromEntries(inputs.map(name => [name, 'any'])),
+                outputs: Object.fromEntries(outputs.map(name => [name, 'any']))
+            };
+        }
+        return nodeData;
+    }
+
+    /**
+     * Replaces the graph with the nodes and wires of a saved session (the JSON written by the IDE's
+     * `serialize()`), without any view. Layout information in the session is ignored.
+     * @param {Object} state - Parsed session.
+     */
+    loadGraph(state) {
+        this.nodes.clear();
+        this.connections = [];
+        this.nodeCounter = state.nodeCounter || 0;
+        this.executionMode = state.executionMode || 'live';
+        this.variables = { ...state.variables };
+
+        const missingSockets = this.getMissingSockets(state.connections || []);
+        (state.nodes || []).forEach(nodeState => {
+            const nodeData = this.createNodeModel(nodeState.type, nodeState.id, {
+                params: nodeState.content || {},
+                subgraph: nodeState.subgraph,
+                bypassed: nodeState.bypassed,
+                muted: nodeState.muted,
+                missingSockets: missingSockets[nodeState.id]
+            });
+            this.nodes.set(nodeState.id, nodeData);
+            if (nodeState.errorOutput) {
+                this.setErrorOutput(nodeState.id, true);
+            }
+        });
+
+        this.connections = state.connections || [];
+        this.refreshCycleState();
+    }
+
+    // Sockets for nodes of unregistered types come from the wires that reach them.
+    getMissingSockets(connections) {
+        const missingSockets = {};
+        connections.forEach(conn => {
+            [['from', 'outputs'], ['to', 'inputs']].forEach(([end, direction]) => {
+                const sockets = missingSockets[conn[end].node] = missingSockets[conn[end].node] || { inputs: [], outputs: [] };
+                if (!sockets[direction].includes(conn[end].socket)) sockets[direction].push(conn[end].socket);
+            });
+        });
+        return missingSockets;
+    }
+
+    /**
+     * Fills in defaults and coerces values to the types the node type declares for its params.
+     * @param {string} type
+     * @param {Object} values
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Throw on unknown names and invalid choices instead of
+     *        keeping or replacing them (used for hand-written macro steps).
+     * @param {string} [options.label] - Prefix for error messages.
+     * @returns {Object}
+     */
+    normalizeParams(type, values, { strict = false, label = '' } = {}) {
+        const schema = this.nodeTypes.get(type).params;
+        const where = label ? `${label} (${type})` : type;
+        if (strict) {
+            Object.keys(values).forEach(name => {
+                if (!schema.some(param => param.name === name)) {
+                    throw new Error(`${where}: unknown param "${name}". Expected one of: ${schema.map(param => param.name).join(', ') || 'none'}.`);
+                }
+            });
+        }
+
+        // Values the schema doesn't describe are kept so custom views and older sessions don't lose them.
+        const params = strict ? {} : { ...values };
+        schema.forEach(param => {
+            let value = values[param.name] !== undefined ? values[param.name] : param.default;
+            switch (param.type) {
+                case 'checkbox':
+                    value = value === true || value === 'true';
+                    break;
+                case 'number': {
+                    const number = value === '' || value === null || value === undefined ? NaN : Number(value);
+                    if (!Number.isFinite(number) && strict && values[param.name] !== undefined) {
+                        throw new Error(`${where}: "${param.name}" must be a number.`);
+                    }
+                    value = Number.isFinite(number) ? number : (param.default ?? null);
+                    break;
+                }
+                case 'select':
+                    if (!param.options.map(String).includes(String(value))) {
+                        if (strict) {
+                            throw new Error(`${where}: "${param.name}" must be one of: ${param.options.join(', ')}.`);
+                        }
+                        value = param.default ?? param.options[0];
+                    }
+                    value = String(value);
+                    break;
+                default:
+                    value = value === undefined || value === null ? '' : (typeof value === 'string' ? value : JSON.stringify(value));
+            }
+            params[param.name] = value;
+        });
+        return params;
+    }
+
+    /**
+     * Writes a node's status line.
+     * @param {Object} nodeData
+     * @param {string} text
+     * @param {''|'ok'|'info'|'warning'|'error'} [level=''] - '' is the neutral default.
+     */
+    setStatus(nodeData, text, level = '') {
+        nodeData.status = { text, level };
+    }
+
+    getNodeTitle(nodeId) {
+        const nodeData = this.nodes.get(nodeId);
+        return nodeData ? this.getModelTitle(nodeData) : nodeId;
+    }
+
+    // Title of a node model, including ones that aren't part of the graph (macro steps, group internals).
+    getModelTitle(nodeData) {
+        const definition = this.nodeTypes.get(nodeData.type);
+        return (nodeData.subgraph && nodeData.subgraph.title) || (definition ? definition.title : nodeData.type);
+    }
+
+    // Records a node's execution state; views override this to show it.
+    setNodeExecState(nodeData, state, message = '') {
+        if (!nodeData) return;
+        nodeData.execState = state;
+        nodeData.execMessage = message;
+    }
+
+    // --- VARIABLES ---
+
+    /**
+     * Sets a session variable. Text params reference it as `{{vars.name}}` and Filter/Transform code
+     * as `vars.name`; only the nodes that reference it (and their dependents) re-run.
+     * @param {string} name
+     * @param {string} value
+     * @returns {Promise} - Resolves when the affected nodes have re-run.
+     */
+    setVariable(name, value) {
+        if (typeof name !== 'string' || !/^[A-Za-z_]\w*$/.test(name)) {
+            throw new Error(`Invalid variable name "${name}": use letters, digits and "_", not starting with a digit.`);
+        }
+        this.variables[name] = String(value);
+        return this.runGraph(this.findNodesUsingVariable(name));
+    }
+
+    deleteVariable(name) {
+        if (!(name in this.variables)) return Promise.resolve();
+        delete this.variables[name];
+        return this.runGraph(this.findNodesUsingVariable(name));
+    }
+
+    // Names of the variables a node's params (or, for a group, its inner nodes' params) refer to.
+    getUsedVariables(nodeData) {
+        const texts = [];
+        const collect = (params, subgraph) => {
+            Object.values(params || {}).forEach(value => {
+                if (typeof value === 'string') texts.push(value);
+            });
+            (subgraph ? subgraph.nodes : []).forEach(state => collect(state.content, state.subgraph));
+        };
+        collect(nodeData.params, nodeData.subgraph);
+
+        const names = new Set();
+        const pattern = /\bvars\.([A-Za-z_]\w*)|\bvars\[\s*(['"])([A-Za-z_]\w*)\2\s*\]/g;
+        texts.forEach(text => {
+            for (const match of text.matchAll(pattern)) {
+                names.add(match[1] || match[3]);
+            }
+        });
+        return names;
+    }
+
+    findNodesUsingVariable(name) {
+        return [...this.nodes.values()].filter(nodeData => this.getUsedVariables(nodeData).has(name)).map(nodeData => nodeData.id);
+    }
+
+    /**
+     * Replaces `{{vars.name}}` references in a text with the variables' values.
+     * @param {string} text
+     * @returns {string}
+     */
+    resolveVariables(text) {
+        return text.replace(/\{\{\s*vars\.([A-Za-z_]\w*)\s*\}\}/g, (match, name) => {
+            if (!Object.prototype.hasOwnProperty.call(this.variables, name)) {
+                throw new Error(`Unknown variable "${name}". Define it in the Variables panel.`);
+            }
+            return this.variables[name];
+        });
+    }
+
+    /**
+     * The params a processor works with: `nodeData.params` with variable references resolved.
+     * `nodeData.params` itself keeps what the user wrote.
+     * @param {Object} nodeData
+     * @returns {Object}
+     */
+    getParams(nodeData) {
+        const params = {};
+        Object.entries(nodeData.params).forEach(([name, value]) => {
+            params[name] = typeof value === 'string' ? this.resolveVariables(value) : value;
+        });
+        return params;
+    }
+
+    // --- EXECUTION ENGINE ---
+
+    // Re-runs a node because its data or parameters changed (or the user asked for it), bypassing
+    // its cache. Downstream nodes re-run too, but reuse their cached outputs if their inputs are unchanged.
+    processNodeData(nodeId) {
+        const nodeData = this.nodes.get(nodeId);
+        if (nodeData) nodeData.cache = null;
+        return this.runGraph([nodeId]);
+    }
+
+    /**
+     * Marks the given nodes and everything downstream of them dirty, then schedules an execution pass.
+     * Passing no ids dirties the whole graph. Requests made while a pass is in flight are
+     * coalesced into a single follow-up pass, so rapid edits never interleave processors.
+     * @param {string[]|null} startNodeIds - Nodes whose data changed, or null for all nodes.
+     * @returns {Promise} - Resolves when the pass that covers these nodes has finished.
+     */
+    runGraph(startNodeIds = null) {
+        this.markDirty(startNodeIds);
+        if (this.executionMode === 'manual') {
+            // Manual mode only records what is stale; the Run command executes it.
+            return Promise.resolve();
+        }
+        return this.scheduleExecution();
+    }
+
+    /**
+     * Explicitly runs the given nodes regardless of the execution mode, ignoring their caches.
+     * In live mode their downstream nodes follow as usual; in manual mode only these nodes run
+     * and their dependents are left marked dirty.
+     * @param {string[]} nodeIds
+     * @returns {Promise}
+     */
+    runNodes(nodeIds) {
+        nodeIds.forEach(nodeId => {
+            const nodeData = this.nodes.get(nodeId);
+            if (nodeData) nodeData.cache = null;
+        });
+        this.markDirty(nodeIds);
+        if (this.executionMode === 'live') {
+            return this.scheduleExecution();
+        }
+        return this.enqueuePass(new Set(nodeIds));
+    }
+
+    // Runs every dirty node in the graph, whatever the execution mode.
+    runAll() {
+        this.markDirty(null);
+        return this.enqueuePass(null);
+    }
+
+    enqueuePass(restrictTo) {
+        const pass = this.execution.current.then(() => this.executePass(restrictTo));
+        this.execution.current = pass.catch(e => console.error('Execution pass failed:', e));
+        return pass;
+    }
+
+    // A bypassed node forwards, for each output, the first value arriving on an input of the same type
+    // (falling back to its first input), so it behaves as if it were not in the chain.
+    computeBypassOutputs(nodeData) {
+        const outputs = {};
+        const inputSpecs = Object.entries(nodeData.sockets.inputs);
+        Object.entries(nodeData.sockets.outputs).forEach(([outputName, outputSpec]) => {
+            const outputType = typeof outputSpec === 'string' ? outputSpec : outputSpec.type;
+            const match = inputSpecs.find(([, spec]) => (typeof spec === 'string' ? spec : spec.type) === outputType) || inputSpecs[0];
+            outputs[outputName] = match ? this.getInputValues(nodeData, match[0])[0] : undefined;
+        });
+        return outputs;
+    }
+
+    markDirty(startNodeIds = null) {
+        const targets = startNodeIds === null ? new Set(this.nodes.keys()) : this.collectDownstream(startNodeIds);
+        targets.forEach(nodeId => {
+            const nodeData = this.nodes.get(nodeId);
+            nodeData.dirty = true;
+            this.setNodeExecState(nodeData, 'dirty');
+        });
+    }
+
+    scheduleExecution() {
+        const execution = this.execution;
+        if (!execution.scheduled) {
+            execution.scheduled = execution.current.then(() => {
+                execution.scheduled = null;
+                // The mode may have been switched to manual while this pass was waiting.
+                if (this.executionMode === 'manual') return;
+                return this.executePass();
+            });
+            execution.current = execution.scheduled.catch(e => console.error('Execution pass failed:', e));
+        }
+        return execution.scheduled;
+    }
+
+    async executePass(restrictTo = null) {
+        const dirtyIds = new Set([...this.nodes.keys()].filter(id =>
+            this.nodes.get(id).dirty && (!restrictTo || restrictTo.has(id))
+        ));
+        const { order, blocked } = this.topologicalSort(dirtyIds);
+
+        const cyclicNodes = new Set();
+        this.cyclicConnections.forEach(c => cyclicNodes.add(c.from.node).add(c.to.node));
+        blocked.forEach(nodeId => {
+            const message = cyclicNodes.has(nodeId) ? 'Part of a dependency cycle.' : 'Blocked by an upstream dependency cycle.';
+            const nodeData = this.nodes.get(nodeId);
+            nodeData.dirty = false;
+            this.failNode(nodeData, { message, upstream: false });
+        });
+
+        for (const nodeId of order) {
+            const nodeData = this.nodes.get(nodeId);
+            // The graph may have been replaced (undo, load) while an earlier processor was awaited.
+            if (!nodeData || !nodeData.dirty) continue;
+            // Cleared before running so an edit made while this node is awaited schedules it again.
+            nodeData.dirty = false;
+            nodeData.error = null;
+            nodeData.inactiveOutputs = new Set();
+
+            if (nodeData.muted) {
+                // Nothing fires, so dependents are skipped rather than run on missing data.
+                nodeData.outputs = {};
+                nodeData.cache = null;
+                Object.keys(nodeData.sockets.outputs).forEach(name => nodeData.inactiveOutputs.add(name));
+                this.setNodeExecState(nodeData, 'muted');
+                continue;
+            }
+
+            const inputState = this.resolveInputState(nodeData);
+            if (inputState.failedSource) {
+                // Forward the original failure instead of running on missing data.
+                this.failNode(nodeData, { ...inputState.failedSource.error, upstream: true });
+                continue;
+            }
+            if (inputState.skipped) {
+                nodeData.outputs = {};
+                nodeData.display = {};
+                nodeData.cache = null;
+                Object.keys(nodeData.sockets.outputs).forEach(name => nodeData.inactiveOutputs.add(name));
+                this.setNodeExecState(nodeData, 'skipped');
+                continue;
+            }
+            const hash = this.computeNodeHash(nodeData);
+            if (nodeData.cache && nodeData.cache.hash === hash) {
+                nodeData.outputs = { ...nodeData.cache.outputs };
+                nodeData.inactiveOutputs = new Set(nodeData.cache.inactiveOutputs);
+                this.setNodeExecState(nodeData, 'cached');
+                continue;
+            }
+
+            if (nodeData.bypassed) {
+                nodeData.outputs = this.computeBypassOutputs(nodeData);
+                nodeData.cache = null;
+                this.setNodeExecState(nodeData, 'bypassed');
+                continue;
+            }
+
+            const processor = this.getNodeProcessor(nodeData.type);
+            // Status, display and outputs describe the last run only, so neither a stale failure nor a
+            // branch that no longer fires is left showing.
+            nodeData.status = null;
+            nodeData.display = {};
+            nodeData.outputs = {};
+            this.setNodeExecState(nodeData, 'running');
+            try {
+                if (processor) {
+                    await processor(nodeData);
+                }
+                if (nodeData.errorOutput) {
+                    delete nodeData.outputs.error_out;
+                    nodeData.inactiveOutputs.add('error_out');
+                }
+                nodeData.cache = { hash, outputs: { ...nodeData.outputs }, inactiveOutputs: [...nodeData.inactiveOutputs] };
+                this.setNodeExecState(nodeData, 'done');
+            } catch (e) {
+                console.error(`Error processing ${nodeId}:`, e);
+                this.failNode(nodeData, { message: e.message, upstream: false });
+            }
+        }
+    }
+
+    // Recomputes the sockets of a node whose type derives them from its settings (e.g. one output per
+    // Switch branch) and drops the wires of sockets that went away. Returns those wires, or null when
+    // the sockets did not change.
+    refreshSockets(nodeData) {
+        const definition = this.nodeTypes.get(nodeData.type);
+        if (!definition || typeof definition.sockets !== 'function') return null;
+        const sockets = definition.sockets({ params: nodeData.params, subgraph: nodeData.subgraph });
+        if (nodeData.errorOutput) {
+            sockets.outputs = { ...sockets.outputs, error_out: 'object' };
+        }
+        if (JSON.stringify(sockets) === JSON.stringify(nodeData.sockets)) return null;
+        nodeData.sockets = sockets;
+
+        const isGone = (c) => (c.from.node === nodeData.id && !(c.from.socket in sockets.outputs))
+            || (c.to.node === nodeData.id && !(c.to.socket in sockets.inputs));
+        const removed = this.connections.filter(isGone);
+        this.connections = this.connections.filter(c => !isGone(c));
+        return removed;
+    }
+
+    // --- ERROR STATE ---
+
+    // Adds or removes a node's `error_out` socket, which carries the node's error when it fails.
+    setErrorOutput(nodeId, enabled) {
+        const nodeData = this.nodes.get(nodeId);
+        if (!nodeData || nodeData.errorOutput === enabled) return;
+        nodeData.errorOutput = enabled;
+
+        // The socket declaration may be shared with every node of this type, so it is copied, not mutated.
+        const outputs = { ...nodeData.sockets.outputs };
+        if (enabled) {
+            outputs.error_out = 'object';
+        } else {
+            delete outputs.error_out;
+            this.connections = this.connections.filter(c => !(c.from.node === nodeId && c.from.socket === 'error_out'));
+        }
+        nodeData.sockets = { ...nodeData.sockets, outputs };
+    }
+
+    /**
+     * Classifies a wire by what its source produced in the last run:
+     * 'live' carries a value, 'failed' comes from a node in the error state,
+     * 'inactive' comes from an output that did not fire (e.g. error_out of a healthy node).
+     * @param {Object} conn
+     * @param {Map} [nodes] - The nodes the wire belongs to; a group's inner nodes when run by runSubgraph.
+     */
+    getWireState(conn, nodes = this.nodes) {
+        const sourceNode = nodes.get(conn.from.node);
+        if (!sourceNode) return 'inactive';
+        if (sourceNode.error) {
+            return conn.from.socket === 'error_out' ? 'live' : 'failed';
+        }
+        if (sourceNode.execState === 'skipped' || sourceNode.inactiveOutputs.has(conn.from.socket)) {
+            return 'inactive';
+        }
+        return 'live';
+    }
+
+    /**
+     * Decides whether a node can run with what arrives on its inputs. An input socket is satisfied when
+     * at least one of its wires is live. Otherwise the node fails as "upstream failed" if a wire comes
+     * from a failed node, or is skipped if its wires only come from outputs that did not fire.
+     * @param {Object} nodeData
+     * @param {Array} [connections] - The wires of the graph the node belongs to.
+     * @param {Map} [nodes] - The nodes of that graph.
+     * @returns {{ failedSource: Object|null, skipped: boolean }}
+     */
+    resolveInputState(nodeData, connections = this.connections, nodes = this.nodes) {
+        const wiresBySocket = new Map();
+        connections.filter(c => c.to.node === nodeData.id).forEach(c => {
+            if (!wiresBySocket.has(c.to.socket)) wiresBySocket.set(c.to.socket, []);
+            wiresBySocket.get(c.to.socket).push(c);
+        });
+
+        let skipped = false;
+        for (const wires of wiresBySocket.values()) {
+            const states = wires.map(c => this.getWireState(c, nodes));
+            if (states.includes('live')) continue;
+            const failedIndex = states.indexOf('failed');
+            if (failedIndex !== -1) {
+                return { failedSource: nodes.get(wires[failedIndex].from.node), skipped: false };
+            }
+            skipped = true;
+        }
+        return { failedSource: null, skipped };
+    }
+
+    /**
+     * Puts a node into the error state. Its regular outputs carry nothing (downstream nodes report
+     * "upstream failed"), and if it has an error output the error is emitted there instead.
+     * @param {Object} nodeData
+     * @param {{message: string, upstream: boolean, nodeId?: string, nodeTitle?: string}} error - Upstream
+     *   errors keep the id and title of the node where the failure originated.
+     */
+    failNode(nodeData, error) {
+        const nodeId = nodeData.id;
+        nodeData.error = {
+            message: error.message,
+            nodeId: error.nodeId || nodeId,
+            nodeTitle: error.nodeTitle || this.getNodeTitle(nodeId),
+            upstream: error.upstream
+        };
+        nodeData.cache = null;
+        nodeData.outputs = {};
+        nodeData.inactiveOutputs = new Set();
+        if (nodeData.errorOutput) {
+            nodeData.outputs.error_out = { ...nodeData.error };
+        }
+
+        if (error.upstream) {
+            const message = `Upstream failed: ${nodeData.error.nodeTitle} (${nodeData.error.nodeId}): ${nodeData.error.message}`;
+            this.setStatus(nodeData, message, 'warning');
+            this.setNodeExecState(nodeData, 'upstream', message);
+        } else {
+            this.setStatus(nodeData, `Error: ${nodeData.error.message}`, 'error');
+            this.setNodeExecState(nodeData, 'error', nodeData.error.message);
+        }
+    }
+
+    /**
+     * Fingerprints everything a node's outputs depend on: its type, its parameters and the
+     * values currently arriving on its inputs. Equal hashes mean the cached outputs are still valid.
+     */
+    computeNodeHash(nodeData) {
+        const inputs = this.connections
+            .filter(c => c.to.node === nodeData.id)
+            .map(c => {
+                const sourceNode = this.nodes.get(c.from.node);
+                return [c.to.socket, c.from.node, c.from.socket, sourceNode ? sourceNode.outputs[c.from.socket] : undefined];
+            });
+        let serialized;
+        try {
+            const vars = [...this.getUsedVariables(nodeData)].map(name => [name, this.variables[name]]);
+            serialized = JSON.stringify([nodeData.type, nodeData.params, vars, nodeData.subgraph || null, inputs]);
+        } catch (e) {
+            // Unserializable inputs cannot be compared, so the node always re-runs.
+            return null;
+        }
+        return hashString(serialized);
+    }
+
+    collectDownstream(startNodeIds) {
+        const visited = new Set();
+        const stack = [...startNodeIds].filter(id => this.nodes.has(id));
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            if (visited.has(nodeId)) continue;
+            visited.add(nodeId);
+            this.connections.forEach(c => {
+                if (c.from.node === nodeId && !visited.has(c.to.node)) {
+                    stack.push(c.to.node);
+                }
+            });
+        }
+        return visited;
+    }
+
+    /**
+     * Orders the given nodes so every node comes after the nodes feeding it (Kahn's algorithm).
+     * Only edges between nodes inside the set are considered. Nodes that can never become ready
+     * because they sit on a cycle are returned separately in `blocked`.
+     */
+    topologicalSort(nodeIds, connections = this.connections) {
+        const inDegree = new Map();
+        const dependents = new Map();
+        nodeIds.forEach(id => {
+            inDegree.set(id, 0);
+            dependents.set(id, []);
+        });
+        connections.forEach(c => {
+            if (nodeIds.has(c.from.node) && nodeIds.has(c.to.node)) {
+                inDegree.set(c.to.node, inDegree.get(c.to.node) + 1);
+                dependents.get(c.from.node).push(c.to.node);
+            }
+        });
+
+        // Seed in canvas order so independent branches run in a stable, predictable order.
+        const ready = [...nodeIds].filter(id => inDegree.get(id) === 0);
+        const order = [];
+        while (ready.length > 0) {
+            const nodeId = ready.shift();
+            order.push(nodeId);
+            dependents.get(nodeId).forEach(depId => {
+                inDegree.set(depId, inDegree.get(depId) - 1);
+                if (inDegree.get(depId) === 0) ready.push(depId);
+            });
+        }
+        const ordered = new Set(order);
+        const blocked = [...nodeIds].filter(id => !ordered.has(id));
+        return { order, blocked };
+    }
+
+    /**
+     * A wire from `fromNodeId` into `toNodeId` closes a cycle exactly when
+     * `fromNodeId` is already reachable downstream of `toNodeId`.
+     */
+    wouldCreateCycle(fromNodeId, toNodeId) {
+        if (fromNodeId === toNodeId) return true;
+        return this.collectDownstream([toNodeId]).has(fromNodeId);
+    }
+
+    /**
+     * Finds every connection that lies on a cycle, using Tarjan's strongly connected components:
+     * a wire is cyclic when both of its ends belong to the same component (or it is a self-loop).
+     * @returns {Set<object>} - The offending connection objects from `this.connections`.
+     */
+    findCyclicConnections() {
+        const index = new Map();
+        const lowLink = new Map();
+        const component = new Map();
+        const stack = [];
+        const onStack = new Set();
+        let counter = 0;
+        let componentCount = 0;
+
+        const successors = new Map();
+        this.nodes.forEach((_, nodeId) => successors.set(nodeId, []));
+        this.connections.forEach(c => {
+            if (successors.has(c.from.node) && successors.has(c.to.node)) {
+                successors.get(c.from.node).push(c.to.node);
+            }
+        });
+
+        const strongConnect = (nodeId) => {
+            index.set(nodeId, counter);
+            lowLink.set(nodeId, counter);
+            counter++;
+            stack.push(nodeId);
+            onStack.add(nodeId);
+
+            successors.get(nodeId).forEach(nextId => {
+                if (!index.has(nextId)) {
+                    strongConnect(nextId);
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(nextId)));
+                } else if (onStack.has(nextId)) {
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), index.get(nextId)));
+                }
+            });
+
+            if (lowLink.get(nodeId) === index.get(nodeId)) {
+                let memberId;
+                do {
+                    memberId = stack.pop();
+                    onStack.delete(memberId);
+                    component.set(memberId, componentCount);
+                } while (memberId !== nodeId);
+                componentCount++;
+            }
+        };
+
+        successors.forEach((_, nodeId) => {
+            if (!index.has(nodeId)) strongConnect(nodeId);
+        });
+
+        return new Set(this.connections.filter(c =>
+            component.has(c.from.node) && component.get(c.from.node) === component.get(c.to.node)
+        ));
+    }
+
+    refreshCycleState() {
+        this.cyclicConnections = this.findCyclicConnections();
+    }
+
+    isMultiInput(nodeId, socketName) {
+        const nodeData = this.nodes.get(nodeId);
+        const spec = nodeData && nodeData.sockets.inputs[socketName];
+        return !!spec && typeof spec === 'object' && !!spec.multi;
+    }
+
+    getInputConnections(nodeData, socketName) {
+        return this.connections.filter(c => c.to.node === nodeData.id && c.to.socket === socketName);
+    }
+
+    // Values arriving at an input socket, in wire order. Single-input sockets yield at most one value.
+    // Wires from failed or inactive sources are left out, so a fan-in can fall back to the branches that ran.
+    // Nodes run headlessly (e.g. as macro steps) have no wires and take their values from `headlessInputs`.
+    getInputValues(nodeData, socketName) {
+        if (nodeData.headlessInputs) {
+            return nodeData.headlessInputs[socketName] || [];
+        }
+        return this.getInputConnections(nodeData, socketName).filter(c => this.getWireState(c) === 'live').map(c => {
+            const sourceNode = this.nodes.get(c.from.node);
+            return sourceNode ? sourceNode.outputs[c.from.socket] : undefined;
+        });
+    }
+
+    // The value arriving at a single-input socket, or undefined when nothing is connected.
+    getInputValue(nodeData, socketName) {
+        return this.getInputValues(nodeData, socketName)[0];
+    }
+
+    hasInput(nodeData, socketName) {
+        return this.getInputValues(nodeData, socketName).length > 0;
+    }
+
+    // --- PROCESSORS ---
+
+    processTextNode(nodeData) {
+        // A wired Text node mirrors its input; otherwise it emits what was typed into it.
+        if (this.hasInput(nodeData, 'text_in')) {
+            const text = this.getInputValue(nodeData, 'text_in') || '';
+            nodeData.outputs.text_out = text;
+            nodeData.display.text = text;
+        } else {
+            nodeData.outputs.text_out = this.getParams(nodeData).text;
+            // The editor keeps showing what was typed, variable references included.
+            nodeData.display.text = nodeData.params.text;
+        }
+    }
+
+    processFindReplaceNode(nodeData) {
+        const { find: findText, replace: replaceText, regex: isRegex, global: isGlobal, case_sensitive: isCaseSensitive } = this.getParams(nodeData);
+
+        if (!this.hasInput(nodeData, 'input_text')) {
+            this.setStatus(nodeData, 'No input connected');
+            nodeData.display.matchesNote = 'No input connected';
+            nodeData.outputs.output_text = '';
+            return;
+        }
+
+        const inputText = this.getInputValue(nodeData, 'input_text') || '';
+        let outputText = inputText;
+
+        if (findText) {
+            try {
+                let flags = isGlobal ? 'g' : '';
+                if (!isCaseSensitive) flags += 'i';
+
+                const searchPattern = isRegex ? new RegExp(findText, flags) : new RegExp(findText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+
+                const matches = [...inputText.matchAll(new RegExp(searchPattern.source, searchPattern.flags.replace('g','') + 'g'))];
+                const matchCount = matches.length;
+
+                outputText = inputText.replace(searchPattern, replaceText);
+
+                if (matchCount > 0) {
+                    this.setStatus(nodeData, `${matchCount} match${matchCount === 1 ? '' : 'es'} found.`, 'ok');
+                    nodeData.display.matches = matches.slice(0, 10).map(match => match[0]);
+                } else {
+                    this.setStatus(nodeData, 'No matches found', 'warning');
+                    nodeData.display.matchesNote = 'No matches found';
+                }
+            } catch (error) {
+                nodeData.display.matchesError = error.message;
+                throw new Error(`Regex error: ${error.message}`);
+            }
+        } else {
+            this.setStatus(nodeData, 'Enter find pattern');
+            nodeData.display.matchesNote = 'Enter find pattern';
+        }
+        nodeData.outputs.output_text = outputText;
+    }
+
+    processImportNode(nodeData) {
+        nodeData.outputs.data_out = this.getParams(nodeData).data_out;
+    }
+
+    processExportNode(nodeData) {
+        const inputs = this.getInputValues(nodeData, 'data_in');
+        if (inputs.length === 0) {
+            nodeData.display.text = 'No input connected.';
+            return;
+        }
+
+        // Several tables are concatenated into one; anything else is written one source after another.
+        if (inputs.length > 1 && inputs.every(Array.isArray)) {
+            nodeData.display.text = JSON.stringify([].concat(...inputs), null, 2);
+            return;
+        }
+        nodeData.display.text = inputs.map(inputData => {
+            if (typeof inputData === 'object') {
+                return JSON.stringify(inputData, null, 2);
+            }
+            return inputData || '';
+        }).join('\n');
+    }
+
+    processCsvNode(nodeData) {
+        if (!this.hasInput(nodeData, 'csv_in')) {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'No input connected.');
+            return;
+        }
+        const { delimiter, quote, header, infer_types: inferTypes, trim } = this.getParams(nodeData);
+        const text = String(this.getInputValue(nodeData, 'csv_in') ?? '').replace(/^\uFEFF/, '');
+        const quoteChar = quote === 'none' ? null : quote;
+        const separator = delimiter === 'auto' ? sniffCsvDelimiter(text, quoteChar) : delimiter === 'tab' ? '\t' : delimiter;
+        const { records, errors } = parseCsv(text, { delimiter: separator, quote: quoteChar, trim });
+
+        // Blank and repeated header names are made unique so no column overwrites another.
+        const width = header && records.length > 0 ? records[0].fields.length : records.reduce((max, record) => Math.max(max, record.fields.length), 0);
+        const headers = [];
+        for (let i = 0; i < width; i++) {
+            const base = (header && records.length > 0 && records[0].fields[i].trim()) || `column_${i + 1}`;
+            let name = base;
+            for (let n = 2; headers.includes(name); n++) name = `${base}_${n}`;
+            headers.push(name);
+        }
+
+        let rows = [];
+        (header ? records.slice(1) : records).forEach(record => {
+            if (record.fields.length !== width) {
+                errors.push({ line: record.line, message: `Expected ${width} field(s), found ${record.fields.length}.` });
+                return;
+            }
+            const row = {};
+            headers.forEach((name, i) => {
+                row[name] = record.fields[i];
+            });
+            rows.push(row);
+        });
+
+        let typeSummary = '';
+        if (inferTypes) {
+            const types = inferCsvColumnTypes(rows, headers);
+            const converters = Object.fromEntries(CSV_VALUE_TYPES.map(candidate => [candidate.type, candidate.convert]));
+            rows = rows.map(row => {
+                const typed = {};
+                headers.forEach(name => {
+                    const convert = converters[types[name]];
+                    typed[name] = convert ? (row[name] === '' ? null : convert(row[name])) : row[name];
+                });
+                return typed;
+            });
+            const typed = headers.filter(name => types[name] !== 'text').map(name => `${name}: ${types[name]}`);
+            if (typed.length > 0) typeSummary = ` Typed ${typed.join(', ')}.`;
+        }
+
+        nodeData.outputs.data_out = rows;
+        const delimiterName = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }[separator] || `"${separator}"`;
+        const summary = `Parsed ${rows.length} row(s) × ${headers.length} column(s), ${delimiterName}-delimited.${typeSummary}`;
+        if (errors.length === 0) {
+            this.setStatus(nodeData, summary, 'info');
+            return;
+        }
+        errors.sort((a, b) => a.line - b.line);
+        const lines = errors.slice(0, 5).map(err => `Line ${err.line}: ${err.message}`);
+        if (errors.length > lines.length) {
+            lines.push(`...and ${errors.length - lines.length} more.`);
+        }
+        this.setStatus(nodeData, `${summary} Skipped ${errors.length} bad line(s):\n${lines.join('\n')}`, 'warning');
+    }
+
+    processJsonNode(nodeData) {
+        const operation = this.getParams(nodeData).operation;
+
+        if (!this.hasInput(nodeData, 'data_in')) {
+            this.setStatus(nodeData, 'No input connected.');
+            nodeData.outputs.data_out = operation === 'parse' ? {} : '';
+            return;
+        }
+
+        const inputData = this.getInputValue(nodeData, 'data_in');
+
+        if (operation === 'parse') {
+            nodeData.outputs.data_out = JSON.parse(inputData);
+        } else { // stringify
+            nodeData.outputs.data_out = JSON.stringify(inputData, null, 2);
+        }
+        this.setStatus(nodeData, 'Success', 'ok');
+    }
+
+    // Parsing reads text and yields an object, or a table of matches when there is an XPath query;
+    // serializing goes the other way.
+    getXmlSockets(params) {
+        if (params.operation === 'serialize') {
+            return { inputs: { xml_in: { type: 'any', label: 'Data In' } }, outputs: { data_out: { type: 'text', label: 'XML Out' } } };
+        }
+        const query = String(params.xpath || '').trim();
+        return {
+            inputs: { xml_in: { type: 'text', label: 'XML In' } },
+            outputs: { data_out: query ? { type: 'table', label: 'Matches' } : { type: 'object', label: 'Data Out' } }
+        };
+    }
+
+    processXmlNode(nodeData) {
+        const params = this.getParams(nodeData);
+        const options = {
+            attrPrefix: params.attr_prefix,
+            textKey: params.text_key || '#text',
+            ignoreAttributes: params.ignore_attributes,
+            trimText: params.trim_text,
+            alwaysArray: params.always_array
+        };
+        if (!this.hasInput(nodeData, 'xml_in')) {
+            nodeData.outputs.data_out = params.operation === 'serialize' ? '' : {};
+            this.setStatus(nodeData, 'No input connected.');
+            return;
+        }
+        const input = this.getInputValue(nodeData, 'xml_in');
+
+        if (params.operation === 'serialize') {
+            if (input === undefined || typeof input === 'string') {
+                throw new Error('Serializing needs an object or an array; parse text with a JSON node first.');
+            }
+            const xml = serializeXml(input, { ...options, rootName: String(params.root_name || '').trim(), indent: Number(params.indent) });
+            nodeData.outputs.data_out = xml;
+            this.setStatus(nodeData, `Wrote ${xml.split('\n').length - 1} line(s) of XML.`, 'info');
+            return;
+        }
+
+        if (typeof input !== 'string') {
+            throw new Error('Parsing needs XML text.');
+        }
+        const documentNode = parseXml(input);
+        const query = String(params.xpath || '').trim();
+        if (!query) {
+            const root = documentNode.children[0];
+            nodeData.outputs.data_out = { [root.name]: xmlElementToJson(root, options) };
+            this.setStatus(nodeData, `Parsed <${root.name}> with ${documentNode.elementCount} element(s).`, 'info');
+            return;
+        }
+        // Each match becomes a row: an element's own keys (or { name: text } for a text-only element),
+        // an attribute as { name: value } and a text node as { [textKey]: text }.
+        nodeData.outputs.data_out = evaluateXPath(documentNode, query).map(match => {
+            if (match.attribute !== undefined) return { [match.attribute]: match.value };
+            if (match.text !== undefined) return { [options.textKey]: options.trimText ? match.text.trim() : match.text };
+            const value = xmlElementToJson(match, options);
+            return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { [match.name]: value };
+        });
+        this.setStatus(nodeData, `XPath matched ${nodeData.outputs.data_out.length} node(s).`, 'info');
+    }
+
+    // Predicate and ratio modes have two outputs, chunk mode one per chunk and text mode a single
+    // array of parts.
+    getSplitSockets(params) {
+        if (params.mode === 'text') {
+            return { inputs: { data_in: 'text' }, outputs: { data_out_1: { type: 'table', label: 'Parts' } } };
+        }
+        const labels = params.mode === 'ratio' ? ['Sample', 'Rest']
+            : params.mode === 'chunk' ? Array.from({ length: this.getSplitChunkCount(params) }, (_, i) => `Chunk ${i + 1}`)
+            : ['Matching', 'Other'];
+        const outputs = {};
+        labels.forEach((label, i) => {
+            outputs[`data_out_${i + 1}`] = { type: 'table', label };
+        });
+        return { inputs: { data_in: 'table' }, outputs };
+    }
+
+    getSplitChunkCount(params) {
+        return Math.min(20, Math.max(1, Math.floor(Number(params.chunks)) || 1));
+    }
+
+    async processSplitNode(nodeData) {
+        const params = this.getParams(nodeData);
+        const { outputs } = this.getSplitSockets(params);
+        if (!this.hasInput(nodeData, 'data_in')) {
+            Object.keys(outputs).forEach(name => {
+                nodeData.outputs[name] = [];
+            });
+            this.setStatus(nodeData, 'No input connected.');
+            return;
+        }
+        const input = this.getInputValue(nodeData, 'data_in');
+
+        if (params.mode === 'text') {
+            if (typeof input !== 'string') {
+                throw new Error('Text mode splits text; the input is not text.');
+            }
+            let separator = params.delimiter;
+            if (params.regex) {
+                try {
+                    separator = new RegExp(params.delimiter);
+                } catch (e) {
+                    throw new Error(`Invalid regex: ${e.message}`);
+                }
+            }
+            const parts = input.split(separator);
+            nodeData.outputs.data_out_1 = params.skip_empty ? parts.filter(part => part.trim() !== '') : parts;
+            nodeData.display.counts = { data_out_1: nodeData.outputs.data_out_1.length };
+            this.setStatus(nodeData, `Split into ${nodeData.outputs.data_out_1.length} part(s).`, 'info');
+            return;
+        }
+
+        if (!Array.isArray(input)) {
+            throw new Error('Input is not an array.');
+        }
+        let parts;
+        let errors = [];
+        if (params.mode === 'ratio') {
+            const ratio = Number(params.ratio);
+            if (!(ratio >= 0 && ratio <= 1)) {
+                throw new Error('Ratio must be between 0 and 1, e.g. 0.8 for an 80/20 split.');
+            }
+            // A seeded shuffle picks the sample; both outputs keep the input order.
+            const random = createSeededRandom(params.seed);
+            const indices = input.map((row, i) => i);
+            for (let i = indices.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [indices[i], indices[j]] = [indices[j], indices[i]];
+            }
+            const sample = new Set(indices.slice(0, Math.round(input.length * ratio)));
+            parts = [input.filter((row, i) => sample.has(i)), input.filter((row, i) => !sample.has(i))];
+        } else if (params.mode === 'chunk') {
+            // Consecutive chunks whose sizes differ by at most one row.
+            const count = this.getSplitChunkCount(params);
+            const base = Math.floor(input.length / count);
+            let start = 0;
+            parts = Array.from({ length: count }, (_, i) => {
+                const size = base + (i < input.length % count ? 1 : 0);
+                start += size;
+                return input.slice(start - size, start);
+            });
+        } else {
+            if (!params.condition.trim()) {
+                // A new Split has no condition yet; nothing fires, so downstream nodes are skipped, not failed.
+                Object.keys(outputs).forEach(name => nodeData.inactiveOutputs.add(name));
+                this.setStatus(nodeData, 'Enter a condition, e.g. row.age > 30.');
+                return;
+            }
+            const result = await this.runInSandbox('filter', params.condition, input, params.timeout, this.variables);
+            errors = result.errors;
+            // Rows whose condition threw go to neither output.
+            const failed = new Set(errors.map(err => err.index));
+            parts = [
+                input.filter((row, i) => result.results[i]),
+                input.filter((row, i) => !result.results[i] && !failed.has(i))
+            ];
+        }
+
+        const counts = {};
+        parts.forEach((rows, i) => {
+            nodeData.outputs[`data_out_${i + 1}`] = rows;
+            counts[`data_out_${i + 1}`] = rows.length;
+        });
+        nodeData.display.counts = counts;
+        const summary = Object.keys(outputs).map((name, i) => `${outputs[name].label}: ${parts[i].length}`).join(', ');
+        this.reportSandboxResult(nodeData, `Split ${input.length} rows (${summary}).`, errors);
+    }
+
+    async processFilterNode(nodeData) {
+        if (this.hasInput(nodeData, 'data_in')) {
+            const inputData = this.getInputValue(nodeData, 'data_in');
+            const { condition, timeout } = this.getParams(nodeData);
+
+            if (!Array.isArray(inputData)) {
+                throw new Error('Input is not an array.');
+            }
+
+            if (!condition) {
+                nodeData.outputs.data_out = inputData;
+                return;
+            }
+
+            const { results, errors } = await this.runInSandbox('filter', condition, inputData, timeout, this.variables);
+            nodeData.outputs.data_out = inputData.filter((row, i) => results[i]);
+            this.reportSandboxResult(nodeData, `Filtered ${inputData.length} rows to ${nodeData.outputs.data_out.length}.`, errors);
+        } else {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'No input connected.');
+        }
+    }
+
+    async processTransformNode(nodeData) {
+        if (this.hasInput(nodeData, 'data_in')) {
+            const inputData = this.getInputValue(nodeData, 'data_in');
+            const { logic, timeout } = this.getParams(nodeData);
+
+            if (!Array.isArray(inputData)) {
+                throw new Error('Input is not an array.');
+            }
+
+            const { results, errors } = await this.runInSandbox('transform', logic, inputData, timeout, this.variables);
+            // Rows whose code threw are dropped rather than passed on half-transformed.
+            const failedRows = new Set(errors.map(err => err.index));
+            nodeData.outputs.data_out = results.filter((row, i) => !failedRows.has(i));
+            this.reportSandboxResult(nodeData, `Transformed ${nodeData.outputs.data_out.length} of ${inputData.length} rows.`, errors);
+        } else {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'No input connected.');
+        }
+    }
+
+    // Branch expressions are the non-empty lines of the `branches` param; lines starting with // are comments.
+    parseSwitchBranches(branches) {
+        return String(branches || '').split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('//'));
+    }
+
+    // One output per branch, labelled with its expression, plus `default` for what no branch matched.
+    getSwitchSockets(params) {
+        const type = params.mode === 'rows' ? 'table' : 'any';
+        const outputs = {};
+        this.parseSwitchBranches(params.branches).forEach((expression, i) => {
+            outputs[`branch_${i + 1}`] = { type, label: expression.length > 28 ? `${expression.slice(0, 27)}…` : expression };
+        });
+        outputs.default = { type, label: 'Default' };
+        return { inputs: { data_in: params.mode === 'rows' ? 'table' : 'any' }, outputs };
+    }
+
+    async processSwitchNode(nodeData) {
+        const { mode, branches, timeout } = this.getParams(nodeData);
+        const expressions = this.parseSwitchBranches(branches);
+        const outputNames = [...expressions.map((expression, i) => `branch_${i + 1}`), 'default'];
+        const labelOf = (index) => index < expressions.length ? `branch ${index + 1}` : 'default';
+
+        if (!this.hasInput(nodeData, 'data_in')) {
+            outputNames.forEach(name => nodeData.inactiveOutputs.add(name));
+            this.setStatus(nodeData, 'No input connected.');
+            return;
+        }
+        const input = this.getInputValue(nodeData, 'data_in');
+        const route = async (rows) => {
+            if (expressions.length === 0) return { results: rows.map(() => -1), errors: [] };
+            const { results, errors } = await this.runInSandbox('switch', expressions, rows, timeout, this.variables);
+            return { results: results.map(index => index === -1 ? expressions.length : index), errors };
+        };
+
+        if (mode === 'rows') {
+            if (!Array.isArray(input)) {
+                throw new Error('Input is not an array. Route it whole with the "value" mode.');
+            }
+            const { results, errors } = await route(input);
+            const routed = outputNames.map(() => []);
+            // Rows whose expression threw are reported and dropped, as in the Filter node.
+            input.forEach((row, i) => {
+                if (results[i] !== undefined) routed[results[i]].push(row);
+            });
+            outputNames.forEach((name, i) => {
+                nodeData.outputs[name] = routed[i];
+            });
+            const counts = routed.map((rows, i) => `${labelOf(i)}: ${rows.length}`).join(', ');
+            this.reportSandboxResult(nodeData, `Routed ${input.length} rows (${counts}).`, errors);
+            return;
+        }
+
+        // The whole value goes out of the first matching branch only; the other outputs stay silent.
+        const { results, errors } = await route([input]);
+        if (errors.length > 0) {
+            throw new Error(errors[0].message);
+        }
+        outputNames.forEach((name, i) => {
+            if (i === results[0]) {
+                nodeData.outputs[name] = input;
+            } else {
+                nodeData.inactiveOutputs.add(name);
+            }
+        });
+        this.setStatus(nodeData, `Routed to ${labelOf(results[0])}.`, 'info');
+    }
+
+    reportSandboxResult(nodeData, summary, errors) {
+        if (errors.length === 0) {
+            this.setStatus(nodeData, summary, 'info');
+            return;
+        }
+        const maxListed = 5;
+        const lines = errors.slice(0, maxListed).map(err => `Row ${err.index + 1}: ${err.message}`);
+        if (errors.length > maxListed) {
+            lines.push(`...and ${errors.length - maxListed} more.`);
+        }
+        this.setStatus(nodeData, `${summary} ${errors.length} row error(s):\n${lines.join('\n')}`, 'warning');
+    }
+
+    // --- SANDBOXED CODE EXECUTION ---
+
+    getSandboxWorker() {
+        if (!this.sandbox.worker) {
+            this.sandbox.worker = this.createSandboxWorker((data) => {
+                const job = this.sandbox.pending.get(data.id);
+                if (!job) return;
+                this.sandbox.pending.delete(data.id);
+                clearTimeout(job.timer);
+                if (data.compileError) {
+                    job.reject(new Error(data.compileError));
+                } else {
+                    job.resolve({ results: data.results, errors: data.errors });
+                }
+            }, (error) => this.resetSandbox(error));
+        }
+        return this.sandbox.worker;
+    }
+
+    // Starts sandboxWorkerMain in a Web Worker, or under Node.js in a worker thread behind a `self` shim.
+    // Either way it runs off the main thread and can be terminated on timeout.
+    createSandboxWorker(onMessage, onError) {
+        const source = `(${sandboxWorkerMain.toString()})();`;
+        if (typeof Worker !== 'undefined') {
+            const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+            const worker = new Worker(url);
+            URL.revokeObjectURL(url);
+            worker.onmessage = (event) => onMessage(event.data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                onError(new Error(event.message || 'Sandbox worker crashed.'));
+            };
+            return worker;
+        }
+        if (typeof require === 'function') {
+            const { Worker: ThreadWorker } = require('worker_threads');
+            const worker = new ThreadWorker(`
+                const { parentPort } = require('worker_threads');
+                const self = { postMessage: (message) => parentPort.postMessage(message) };
+                parentPort.on('message', (data) => self.onmessage({ data }));
+                ${source}`, { eval: true });
+            worker.on('message', onMessage);
+            worker.on('error', (error) => onError(new Error(error.message || 'Sandbox worker crashed.')));
+            // An idle sandbox must not keep a command-line run alive.
+            worker.unref();
+            return worker;
+        }
+        throw new Error('Web Workers are not available, so user code cannot run safely.');
+    }
+
+    /**
+     * Runs user code against every row inside the sandbox worker.
+     * @param {'filter'|'transform'|'switch'} mode - 'filter' treats the code as an expression, 'transform' as a
+     *        function body, and 'switch' as an array of expressions, yielding the index of the first that holds.
+     * @param {string|string[]} code - User code; it sees `row`, `index` and `vars`.
+     * @param {Array} rows - Input rows; they are structured-cloned into the worker.
+     * @param {number} timeoutMs - The worker is terminated if the whole job takes longer than this.
+     * @param {Object} [vars] - Session variables, available to the code as `vars`.
+     * @returns {Promise<{results: Array, errors: Array<{index: number, message: string}>}>}
+     */
+    runInSandbox(mode, code, rows, timeoutMs = 1000, vars = {}) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = this.getSandboxWorker();
+            } catch (e) {
+                reject(e);
+                return;
+            }
+            const id = this.sandbox.nextJobId++;
+            const limit = Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 1000;
+            const timer = setTimeout(() => {
+                // A runaway loop cannot be interrupted, so the whole worker is discarded.
+                this.resetSandbox(new Error(`Timed out after ${limit} ms (possible infinite loop).`));
+            }, limit);
+            this.sandbox.pending.set(id, { resolve, reject, timer });
+            try {
+                worker.postMessage({ id, mode, code, rows, vars });
+            } catch (e) {
+                this.sandbox.pending.delete(id);
+                clearTimeout(timer);
+                reject(new Error(`Input rows could not be sent to the sandbox: ${e.message}`));
+            }
+        });
+    }
+
+    resetSandbox(error) {
+        if (this.sandbox.worker) {
+            this.sandbox.worker.terminate();
+            this.sandbox.worker = null;
+        }
+        this.sandbox.pending.forEach(job => {
+            clearTimeout(job.timer);
+            job.reject(error);
+        });
+        this.sandbox.pending.clear();
+    }
+
+    /**
+     * Parses a join key: "id", "a,b" (same names on both sides) or "a,b=x,y" (left columns = right columns).
+     * @returns {{left: string[], right: string[]}}
+     */
+    parseJoinKey(key) {
+        const [leftPart, rightPart = leftPart] = key.split('=');
+        const split = (part) => part.split(',').map(column => column.trim()).filter(Boolean);
+        const left = split(leftPart);
+        const right = split(rightPart);
+        if (left.length === 0 || left.length !== right.length) {
+            throw new Error(`Join key "${key}" needs as many left columns as right columns, e.g. "a,b=x,y".`);
+        }
+        return { left, right };
+    }
+
+    processMergeNode(nodeData) {
+        const { key, join, conflict, conflict_tag: conflictTag } = this.getParams(nodeData);
+        const [data1] = this.getInputValues(nodeData, 'data_in_1');
+        const rightTables = this.getInputValues(nodeData, 'data_in_2');
+
+        if (data1 === undefined || rightTables.length === 0) {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'Both inputs must be connected.');
+            return;
+        }
+        if (!key.trim()) {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'Join key is required.');
+            return;
+        }
+        if (!Array.isArray(data1) || !rightTables.every(Array.isArray)) {
+            throw new Error('Inputs must be arrays.');
+        }
+        const keyColumns = this.parseJoinKey(key);
+        // Composite keys compare as text, so 1 and "1" match; a row with an empty key part matches nothing.
+        const keyOf = (row, columns) => {
+            const parts = columns.map(column => row[column]);
+            return parts.some(part => part === null || part === undefined || part === '') ? null : JSON.stringify(parts.map(String));
+        };
+        const columnsOf = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+        // Each right-hand table is joined in turn onto the result of the previous join.
+        const stats = [];
+        const merged = rightTables.reduce((left, right, tableIndex) => {
+            const byKey = new Map();
+            right.forEach((row, i) => {
+                const rowKey = keyOf(row, keyColumns.right);
+                if (rowKey === null) return;
+                if (!byKey.has(rowKey)) byKey.set(rowKey, []);
+                byKey.get(rowKey).push(i);
+            });
+
+            // Right columns that clash with left ones are renamed once for the whole table, so every row
+            // has the same columns; a key column shared by name is kept once.
+            const leftColumns = columnsOf(left);
+            const tag = `${conflictTag || 'right'}${tableIndex > 0 ? tableIndex + 1 : ''}`;
+            const sharedKeys = keyColumns.right.filter((column, i) => keyColumns.left[i] === column);
+            const renamed = new Map(columnsOf(right).filter(column => !sharedKeys.includes(column)).map(column => [column,
+                !leftColumns.includes(column) || conflict === 'overwrite' ? column
+                    : conflict === 'prefix' ? `${tag}_${column}` : `${column}_${tag}`]));
+            const emptyLeft = Object.fromEntries(leftColumns.map(column => [column, null]));
+            const emptyRight = Object.fromEntries([...renamed.values()].map(column => [column, null]));
+            const combine = (leftRow, rightRow) => {
+                const row = { ...emptyLeft, ...emptyRight, ...(leftRow || emptyLeft) };
+                if (rightRow) {
+                    renamed.forEach((column, original) => {
+                        if (original in rightRow) row[column] = rightRow[original];
+                    });
+                    // Right-only rows take the shared key from the right side.
+                    if (!leftRow) sharedKeys.forEach(column => { row[column] = rightRow[column]; });
+                }
+                return row;
+            };
+
+            const matchedRight = new Set();
+            let matchedLeft = 0;
+            const out = [];
+            left.forEach(leftRow => {
+                const rowKey = keyOf(leftRow, keyColumns.left);
+                const matches = rowKey === null ? undefined : byKey.get(rowKey);
+                if (matches) matchedLeft++;
+                if (join === 'semi' || join === 'anti') {
+                    if (!!matches === (join === 'semi')) out.push(leftRow);
+                    return;
+                }
+                if (matches) {
+                    matches.forEach(i => {
+                        matchedRight.add(i);
+                        out.push(combine(leftRow, right[i]));
+                    });
+                } else if (join === 'left' || join === 'full') {
+                    out.push(combine(leftRow, null));
+                }
+            });
+            if (join === 'right' || join === 'full') {
+                right.forEach((rightRow, i) => {
+                    if (!matchedRight.has(i)) out.push(combine(null, rightRow));
+                });
+            }
+            if (join === 'semi' || join === 'anti') {
+                const leftKeys = new Set(left.map(leftRow => keyOf(leftRow, keyColumns.left)));
+                byKey.forEach((indexes, rowKey) => {
+                    if (leftKeys.has(rowKey)) indexes.forEach(i => matchedRight.add(i));
+                });
+            }
+            stats.push({ left: left.length, matchedLeft, right: right.length, matchedRight: matchedRight.size, renamed: join === 'semi' || join === 'anti' ? 0 : [...renamed].filter(([a, b]) => a !== b).length });
+            return out;
+        }, data1);
+
+        nodeData.outputs.data_out = merged;
+        const details = stats.map((stat, i) => `${rightTables.length > 1 ? `Table ${i + 1}: ` : ''}`
+            + `${stat.matchedLeft} of ${stat.left} left and ${stat.matchedRight} of ${stat.right} right rows matched; `
+            + `${stat.left - stat.matchedLeft} left and ${stat.right - stat.matchedRight} right unmatched`
+            + `${stat.renamed > 0 ? `; ${stat.renamed} clashing column(s) renamed` : ''}.`);
+        this.setStatus(nodeData, `${join[0].toUpperCase()}${join.slice(1)} join: ${merged.length} row(s).\n${details.join('\n')}`, 'info');
+    }
+
+    /**
+     * Groups rows by the comma-separated `groupBy` columns and computes each metric per group: the
+     * `aggFunc`/`aggKey` pair plus any `metrics` lines. Pivot mode also spreads the values of the
+     * `pivot` column into one output column per value and metric.
+     */
+    processAggregateNode(nodeData) {
+        const { groupBy, aggFunc, aggKey, metrics: metricsText, mode, pivot } = this.getParams(nodeData);
+
+        if (!this.hasInput(nodeData, 'data_in')) {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'No input connected.');
+            return;
+        }
+        const metrics = [
+            ...(aggKey.trim() || aggFunc === 'count' ? parseAggregateMetrics(`${aggFunc}(${aggKey.trim() || '*'})`) : []),
+            ...parseAggregateMetrics(metricsText)
+        ];
+        if (metrics.length === 0) {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'Choose a metric: a function and the key it applies to.');
+            return;
+        }
+        const pivotColumn = mode === 'pivot' ? pivot.trim() : '';
+        if (mode === 'pivot' && !pivotColumn) {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, 'Pivot mode needs a column whose values become columns.');
+            return;
+        }
+
+        const inputData = this.getInputValue(nodeData, 'data_in');
+        if (!Array.isArray(inputData)) {
+            throw new Error('Input must be an array.');
+        }
+
+        // Groups keep the order in which their first row appears; without group columns the whole table is one group.
+        const keyColumns = groupBy.split(',').map(column => column.trim()).filter(Boolean);
+        const keyOf = (row, columns) => JSON.stringify(columns.map(column => {
+            const value = row[column];
+            return value instanceof Date ? value.toISOString() : value ?? null;
+        }));
+        const groupRows = (rows, columns) => rows.reduce((groups, row) => {
+            const key = keyOf(row, columns);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+            return groups;
+        }, new Map());
+        const compute = (rows) => Object.fromEntries(metrics.map(({ func, column, name }) => {
+            const values = column ? rows.map(row => row[column]).filter(value => value !== null && value !== undefined && value !== '') : rows;
+            return [name, AGGREGATE_FUNCTIONS[func](values)];
+        }));
+        const groups = groupRows(inputData, keyColumns);
+        const keyFields = (rows) => Object.fromEntries(keyColumns.map(column => [column, rows[0][column] ?? null]));
+
+        if (!pivotColumn) {
+            nodeData.outputs.data_out = [...groups.values()].map(rows => ({ ...keyFields(rows), ...compute(rows) }));
+            this.setStatus(nodeData, `Aggregated ${inputData.length} rows into ${groups.size} groups with ${metrics.length} metric(s).`, 'info');
+            return;
+        }
+
+        // With one metric each pivot value is a column of its own; with several, columns read "<value>_<metric>".
+        const pivotValues = [...groupRows(inputData, [pivotColumn]).values()].map(rows => rows[0][pivotColumn]);
+        const columnName = (value, metric) => {
+            const label = value === null || value === undefined || value === '' ? '(empty)' : value instanceof Date ? value.toISOString() : String(value);
+            return metrics.length === 1 ? label : `${label}_${metric.name}`;
+        };
+        const result = [...groups.values()].map(rows => {
+            const cells = groupRows(rows, [pivotColumn]);
+            const row = keyFields(rows);
+            pivotValues.forEach(value => {
+                // An empty cell still gets its metrics, so counts and sums read 0 rather than null.
+                const values = compute(cells.get(keyOf({ [pivotColumn]: value }, [pivotColumn])) || []);
+                metrics.forEach(metric => {
+                    row[columnName(value, metric)] = values[metric.name];
+                });
+            });
+            return row;
+        });
+        nodeData.outputs.data_out = result;
+        this.setStatus(nodeData, `Pivoted ${inputData.length} rows into ${result.length} rows × ${pivotValues.length} "${pivotColumn}" value(s).`, 'info');
+    }
+
+    /**
+     * Reads the `data_in` table of a table-operation node. Sets `message` as status and outputs an empty
+     * table when nothing is connected.
+     * @returns {Array<Object>|null}
+     */
+    getInputTable(nodeData, message = 'No input connected.') {
+        if (!this.hasInput(nodeData, 'data_in')) {
+            nodeData.outputs.data_out = [];
+            this.setStatus(nodeData, message);
+            return null;
+        }
+        const input = this.getInputValue(nodeData, 'data_in');
+        if (!Array.isArray(input)) {
+            throw new Error('Input must be an array.');
+        }
+        return input;
+    }
+
+    /**
+     * Sorts by the comma-separated `columns`, each optionally followed by asc/desc and a collation
+     * (natural, numeric or locale) that overrides the node's; e.g. "region, revenue desc numeric".
+     * Empty values always sort last, and rows that compare equal keep their order.
+     */
+    processSortNode(nodeData) {
+        const { columns, collation, locale } = this.getParams(nodeData);
+        const input = this.getInputTable(nodeData);
+        if (!input) return;
+
+        const keys = columns.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const words = part.split(/\s+/);
+            const key = { column: part, descending: false, collation };
+            while (words.length > 1 && /^(asc|desc|natural|numeric|locale)$/i.test(words[words.length - 1])) {
+                const word = words.pop().toLowerCase();
+                if (word === 'asc' || word === 'desc') key.descending = word === 'desc';
+                else key.collation = word;
+            }
+            key.column = words.join(' ');
+            return key;
+        });
+        if (keys.length === 0) {
+            nodeData.outputs.data_out = input;
+            this.setStatus(nodeData, 'Enter the columns to sort by, e.g. region, revenue desc.');
+            return;
+        }
+
+        let collators;
+        try {
+            collators = {
+                natural: new Intl.Collator(locale.trim() || undefined, { numeric: true, sensitivity: 'base' }),
+                locale: new Intl.Collator(locale.trim() || undefined)
+            };
+        } catch (e) {
+            throw new Error(`"${locale}" is not a valid locale, e.g. en, de or sv-SE.`);
+        }
+        const toNumber = value => (value instanceof Date ? value.getTime() : typeof value === 'boolean' ? NaN : Number(value));
+        const compareValues = (a, b, kind) => {
+            if (kind === 'numeric') {
+                const [x, y] = [toNumber(a), toNumber(b)];
+                return Number.isNaN(x) || Number.isNaN(y) ? collators.locale.compare(String(a), String(b)) : x - y;
+            }
+            if (kind === 'natural' && (typeof a === 'number' || a instanceof Date) && (typeof b === 'number' || b instanceof Date)) {
+                return toNumber(a) - toNumber(b);
+            }
+            const text = value => (value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value));
+            return collators[kind].compare(text(a), text(b));
+        };
+        // Whatever the direction, values that are not numbers go after the numbers in a numeric sort, and empty values go last.
+        const rank = (value, kind) => (value === null || value === undefined || value === '' ? 2 : kind === 'numeric' && Number.isNaN(toNumber(value)) ? 1 : 0);
+
+        nodeData.outputs.data_out = [...input].sort((rowA, rowB) => {
+            for (const { column, descending, collation: kind } of keys) {
+                const [a, b] = [rowA[column], rowB[column]];
+                const [rankA, rankB] = [rank(a, kind), rank(b, kind)];
+                if (rankA !== rankB) return rankA - rankB;
+                if (rankA === 2) continue;
+                const order = compareValues(a, b, kind);
+                if (order !== 0) return descending ? -order : order;
+            }
+            return 0;
+        });
+        const missing = keys.filter(({ column }) => !input.some(row => row && column in row)).map(({ column }) => column);
+        this.setStatus(nodeData, `Sorted ${input.length} rows by ${keys.map(({ column, descending, collation: kind }) => `${column} ${descending ? 'desc' : 'asc'}${kind !== collation ? ` (${kind})` : ''}`).join(', ')}.`
+            + (missing.length > 0 ? `\nNo rows have column(s): ${missing.join(', ')}.` : ''), missing.length > 0 ? 'warning' : 'info');
+    }
+
+    /**
+     * Drops rows whose `columns` (all columns when empty) repeat an earlier row, keeping the first or
+     * the last of each set of duplicates. Kept rows stay in input order.
+     */
+    processDedupeNode(nodeData) {
+        const { columns, keep } = this.getParams(nodeData);
+        const input = this.getInputTable(nodeData);
+        if (!input) return;
+
+        const keyColumns = columns.split(',').map(column => column.trim()).filter(Boolean);
+        const normalize = value => (value instanceof Date ? value.toISOString() : value ?? null);
+        // Rows that are not records (strings, numbers, null, dates) are their own key.
+        const keyOf = row => JSON.stringify(row === null || typeof row !== 'object' || row instanceof Date
+            ? normalize(row)
+            : keyColumns.length > 0
+                ? keyColumns.map(column => normalize(row[column]))
+                : Object.keys(row).sort().map(column => [column, normalize(row[column])]));
+        // The index of the row kept for each key; later rows replace it when keeping the last.
+        const kept = new Map();
+        input.forEach((row, i) => {
+            const key = keyOf(row);
+            if (keep === 'last' || !kept.has(key)) kept.set(key, i);
+        });
+        const indices = new Set(kept.values());
+        nodeData.outputs.data_out = input.filter((row, i) => indices.has(i));
+        this.setStatus(nodeData, `Kept ${indices.size} of ${input.length} rows; removed ${input.length - indices.size} duplicate(s)`
+            + ` by ${keyColumns.length > 0 ? keyColumns.join(', ') : 'all columns'}.`, 'info');
+    }
+
+    processLimitNode(nodeData) {
+        const { offset, limit } = this.getParams(nodeData);
+        const input = this.getInputTable(nodeData);
+        if (!input) return;
+        if (!Number.isInteger(offset) || !Number.isInteger(limit) || offset < 0 || limit < 0) {
+            throw new Error('Offset and limit must be whole numbers of 0 or more.');
+        }
+
+        const rows = input.slice(offset, offset + limit);
+        nodeData.outputs.data_out = rows;
+        this.setStatus(nodeData, rows.length > 0
+            ? `Rows ${offset + 1}–${offset + rows.length} of ${input.length}.`
+            : `No rows: the input has ${input.length}.`, 'info');
+    }
+
+    /**
+     * Picks `size` random rows without replacement, in input order. The same seed picks the same rows
+     * from the same input; a blank seed picks new ones on every run.
+     */
+    processSampleNode(nodeData) {
+        const { size, seed } = this.getParams(nodeData);
+        const input = this.getInputTable(nodeData);
+        if (!input) return;
+        if (!Number.isInteger(size) || size < 0) {
+            throw new Error('Sample size must be a whole number of 0 or more.');
+        }
+
+        const random = createSeededRandom(seed);
+        const indices = input.map((row, i) => i);
+        const count = Math.min(size, input.length);
+        // A partial Fisher-Yates shuffle: only the first `count` positions need to be drawn.
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (indices.length - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        const picked = new Set(indices.slice(0, count));
+        nodeData.outputs.data_out = input.filter((row, i) => picked.has(i));
+        this.setStatus(nodeData, `Sampled ${count} of ${input.length} rows${seed.trim() ? ` with seed "${seed.trim()}"` : ''}.`, 'info');
+    }
+
+    /**
+     * Describes the columns of a table: the type of their values ('number', 'text', 'boolean', 'date',
+     * 'object', 'mixed', or 'empty' when every value is null) and how many are null, undefined or ''.
+     * @param {Array<Object>} rows
+     * @returns {Array<{name: string, type: string, nulls: number}>}
+     */
+    describeTableColumns(rows) {
+        const columns = new Map();
+        rows.forEach(row => Object.keys(row).forEach(name => {
+            if (!columns.has(name)) columns.set(name, { types: new Set(), nulls: 0 });
+        }));
+        const typeOf = value => (value instanceof Date ? 'date' : typeof value === 'string' ? 'text' : typeof value === 'object' ? 'object' : typeof value);
+        rows.forEach(row => columns.forEach((column, name) => {
+            const value = row[name];
+            if (value === null || value === undefined || value === '') column.nulls++;
+            else column.types.add(typeOf(value));
+        }));
+        return [...columns].map(([name, { types, nulls }]) => ({
+            name,
+            type: types.size === 0 ? 'empty' : types.size === 1 ? [...types][0] : 'mixed',
+            nulls
+        }));
+    }
+
+    /**
+     * Identifies a row of a Table node's input for its saved edits: the value of `keyColumn`, or the
+     * row's position when no key column is chosen. Rows without a key value get null and can't be edited.
+     * @returns {string|null}
+     */
+    getTableRowKey(row, index, keyColumn) {
+        if (!keyColumn) return String(index);
+        const value = row[keyColumn];
+        if (value === null || value === undefined || value === '') return null;
+        return value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Emits `data_in` with the cell edits made in the table view applied. `edits` maps a row key (see
+     * getTableRowKey) to the changed cells of that row, each with the value it replaced, e.g.
+     * {"17": {"price": {"value": 9.5, "was": 12}}}. An edit whose original value no longer matches
+     * the input is not applied, and edits of rows that are gone are kept; both are reported.
+     */
+    processTableViewNode(nodeData) {
+        const input = this.getInputTable(nodeData);
+        if (!input) {
+            nodeData.display.columns = [];
+            nodeData.display.rowKeys = [];
+            return;
+        }
+
+        let edits;
+        try {
+            edits = JSON.parse(nodeData.params.edits || '{}');
+        } catch (e) {
+            throw new Error(`Saved edits are not valid JSON: ${e.message}`);
+        }
+        const keyColumn = (nodeData.params.key_column || '').trim();
+        const cellText = value => (value === null || value === undefined ? '' : value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value));
+        const matched = new Set();
+        const seenKeys = new Set();
+        let applied = 0;
+        let changedUpstream = 0;
+        let duplicates = 0;
+        // Rows that are not objects are shown, and edited, as a single "value" column.
+        const records = input.map(row => (row !== null && typeof row === 'object' && !Array.isArray(row) ? row : { value: row }));
+        const rowKeys = records.map((record, i) => this.getTableRowKey(record, i, keyColumn));
+        const rows = records.map((record, i) => {
+            const key = rowKeys[i];
+            if (key !== null && seenKeys.has(key)) duplicates++;
+            seenKeys.add(key);
+            if (key === null || !edits[key]) return record;
+            matched.add(key);
+            const row = { ...record };
+            Object.entries(edits[key]).forEach(([column, edit]) => {
+                // Edits saved before original values were recorded are plain values.
+                const isRecorded = edit !== null && typeof edit === 'object' && 'value' in edit && 'was' in edit;
+                if (isRecorded && cellText(record[column]) !== cellText(edit.was)) {
+                    changedUpstream++;
+                    return;
+                }
+                row[column] = isRecorded ? edit.value : edit;
+                applied++;
+            });
+            return row;
+        });
+        const missing = Object.keys(edits).filter(key => !matched.has(key)).length;
+
+        nodeData.outputs.data_out = rows;
+        nodeData.display.columns = this.describeTableColumns(rows);
+        nodeData.display.rowKeys = rowKeys;
+        const warnings = [
+            changedUpstream > 0 ? `${changedUpstream} edit(s) not applied: the input value they replaced has changed.` : '',
+            missing > 0 ? `${missing} edited row(s) are not in the input${keyColumn ? ` (no "${keyColumn}" match)` : ''}.` : '',
+            duplicates > 0 ? `Key column "${keyColumn}" repeats ${duplicates} value(s); their edits apply to every matching row.` : ''
+        ].filter(Boolean);
+        this.setStatus(nodeData, `${rows.length} rows × ${nodeData.display.columns.length} columns`
+            + (applied > 0 ? `; ${applied} edited cell(s)` : '') + '.'
+            + (warnings.length > 0 ? `\n${warnings.join('\n')}` : ''), warnings.length > 0 ? 'warning' : 'info');
+    }
+
+    processTranslationNode(nodeData) {
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+        const targetLang = this.getParams(nodeData).targetLang;
+
+        // Simple hard-coded translation logic for demonstration
+        // A real implementation would require a backend API call to a service like LibreTranslate
+        const translations = {
+            "es": { "hello": "hola", "world": "mundo", "is": "es", "this": "esto", "a": "un", "test": "prueba" },
+            "fr": { "hello": "bonjour", "world": "monde", "is": "est", "this": "ceci", "a": "un", "test": "test" },
+            "de": { "hello": "hallo", "world": "welt", "is": "ist", "this": "dies", "a": "ein", "test": "test" },
+            "ja": { "hello": "こんにちは", "world": "世界", "is": "です", "this": "これ", "a": "", "test": "テスト" }
+        };
+
+        const translationMap = translations[targetLang] || {};
+        const translatedText = inputText.toLowerCase().split(/\b/).map(word => {
+            return translationMap[word] || word;
+        }).join('');
+
+        nodeData.display.text = translatedText;
+        nodeData.outputs.text_out = translatedText;
+        this.setStatus(nodeData, `Translated to ${targetLang}. Note: This is a placeholder for real API functionality.`);
+    }
+
+    processSummarizationNode(nodeData) {
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+
+        let summary = inputText.split('.').slice(0, 2).join('. ') + '.'; // Naive summary
+
+        nodeData.display.text = summary;
+        nodeData.outputs.text_out = summary;
+        this.setStatus(nodeData, 'Summarization is a complex NLP task. This is a naive implementation.');
+    }
+
+    processSentimentAnalysisNode(nodeData) {
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+
+        let sentimentScore = 0.5;
+        let sentimentLabel = 'Neutral';
+
+        if (inputText.toLowerCase().includes('great') || inputText.toLowerCase().includes('happy')) {
+            sentimentScore = 0.9;
+            sentimentLabel = 'Positive';
+        } else if (inputText.toLowerCase().includes('bad') || inputText.toLowerCase().includes('sad')) {
+            sentimentScore = 0.1;
+            sentimentLabel = 'Negative';
+        }
+
+        nodeData.display.score = sentimentScore.toFixed(2);
+        nodeData.display.label = sentimentLabel;
+        nodeData.outputs.sentiment = { score: sentimentScore, label: sentimentLabel };
+        this.setStatus(nodeData, 'Sentiment analysis is a complex task. This is a basic keyword search placeholder.');
+    }
+
+    processAutoFormatNode(nodeData) {
+        const formatType = this.getParams(nodeData).formatType;
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+
+        try {
+            let formattedText = inputText;
+            switch (formatType) {
+                case 'js':
+                    formattedText = js_beautify.js_beautify(inputText, { indent_size: 2, space_in_empty_paren: true });
+                    break;
+                case 'html':
+                    formattedText = html_beautify(inputText, { indent_size: 2 });
+                    break;
+                case 'css':
+                    formattedText = css_beautify(inputText, { indent_size: 2 });
+                    break;
+                case 'json':
+                    formattedText = JSON.stringify(JSON.parse(inputText), null, 2);
+                    break;
+            }
+            nodeData.display.text = formattedText;
+            nodeData.outputs.text_out = formattedText;
+            this.setStatus(nodeData, `Formatted as ${formatType.toUpperCase()}.`);
+        } catch (e) {
+            throw new Error(`Formatting error: ${e.message}`);
+        }
+    }
+
+    processTemplateNode(nodeData) {
+        const dataInputs = this.getInputValues(nodeData, 'data_in');
+
+        const params = this.getParams(nodeData);
+        const template = this.hasInput(nodeData, 'template_in') ? this.getInputValue(nodeData, 'template_in') : params.template;
+        const rawDataList = dataInputs.length > 0 ? dataInputs : [params.variables];
+
+        // Data objects are layered in input order, so later inputs override keys from earlier ones.
+        let variables = {};
+        for (let i = 0; i < rawDataList.length; i++) {
+            const rawData = rawDataList[i];
+            if (typeof rawData === 'string') {
+                try {
+                    Object.assign(variables, JSON.parse(rawData));
+                } catch(e) {
+                    const source = rawDataList.length > 1 ? ` (input ${i + 1})` : '';
+                    throw new Error(`Could not parse JSON data${source}: ${e.message}`);
+                }
+            } else if (typeof rawData === 'object' && rawData !== null) {
+                Object.assign(variables, rawData);
+            }
+        }
+
+        let outputText = template;
+        for (const key in variables) {
+            const regex = new RegExp(`{{${key}}}`, 'g');
+            outputText = outputText.replace(regex, variables[key]);
+        }
+
+        nodeData.outputs.text_out = outputText;
+        this.setStatus(nodeData, 'Template processed.');
+    }
+
+    async processMacroNode(nodeData) {
+        const steps = this.parseMacroSteps(this.getParams(nodeData).steps);
+
+        if (!this.hasInput(nodeData, 'input_data')) {
+            nodeData.outputs.output_data = '';
+            this.setStatus(nodeData, 'No input connected.');
+            return;
+        }
+        const input = this.getInputValue(nodeData, 'input_data');
+        if (steps.length === 0) {
+            nodeData.outputs.output_data = input;
+            this.setStatus(nodeData, 'No steps defined; input passed through.');
+            return;
+        }
+
+        const { value, log, warnings } = await this.runMacroSteps(steps, input, (index) => {
+            this.setStatus(nodeData, `Running step ${index + 1} of ${steps.length} (${steps[index].node})...`);
+        });
+        nodeData.outputs.output_data = value;
+        this.setStatus(nodeData, `Ran ${steps.length} step(s)${warnings > 0 ? `, ${warnings} with warnings` : ''}:\n${log.join('\n')}`, warnings > 0 ? 'warning' : 'info');
+    }
+
+    /**
+     * Charts the `data_in` rows as SVG markup on `svg_out`, which the HTML Render and PDF nodes can embed.
+     * `y` may list several columns, each drawn as a series, unless a `series` column splits the rows.
+     */
+    processChartNode(nodeData) {
+        const { chart_type: type, x, y, series, title, width, height } = this.getParams(nodeData);
+        nodeData.outputs.svg_out = '';
+        if (!this.hasInput(nodeData, 'data_in')) {
+            this.setStatus(nodeData, 'No input connected.');
+            return;
+        }
+        const input = this.getInputValue(nodeData, 'data_in');
+        if (!Array.isArray(input)) {
+            throw new Error('Input must be an array.');
+        }
+        const yColumns = y.split(',').map(column => column.trim()).filter(Boolean);
+        if (!x.trim() || yColumns.length === 0) {
+            this.setStatus(nodeData, 'Choose the X and Y columns.');
+            return;
+        }
+
+        const rows = input.filter(row => row !== null && typeof row === 'object');
+        const missing = [x.trim(), ...yColumns, series.trim()].filter(column => column && !rows.some(row => column in row));
+        const chart = renderChartSvg(rows, {
+            type, x: x.trim(), y: yColumns, series: series.trim(), title,
+            width: Math.min(4000, Math.max(160, width || 480)), height: Math.min(4000, Math.max(120, height || 300))
+        });
+        nodeData.outputs.svg_out = chart.svg;
+
+        const notes = [
+            missing.length > 0 ? `No rows have column(s): ${missing.join(', ')}.` : '',
+            chart.skipped > 0 ? `Skipped ${chart.skipped} value(s) that are not numbers.` : '',
+            type === 'pie' && chart.series > 1 ? 'A pie chart shows only the first series.' : ''
+        ].filter(Boolean);
+        this.setStatus(nodeData, [`${chart.xValues} x value(s) × ${chart.series} series.`, ...notes].join('\n'), notes.length > 0 ? 'warning' : 'info');
+    }
+
+    processHtmlRenderNode(nodeData) {
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+
+        nodeData.display.text = inputText;
+        nodeData.outputs.text_out = inputText;
+    }
+
+    // --- MACROS ---
+
+    /**
+     * Parses and validates the steps of a Macro node. Lines starting with `//` are ignored so the
+     * example placeholder doesn't count as a step. Every step is checked before any of them runs.
+     * @param {string} stepsText - JSON array of `{ node, params }` objects.
+     * @returns {Array<{node: string, params: Object}>}
+     */
+    parseMacroSteps(stepsText) {
+        const json = stepsText.split('\n').filter(line => !line.trim().startsWith('//')).join('\n').trim();
+        if (!json) return [];
+
+        let steps;
+        try {
+            steps = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Steps are not valid JSON: ${e.message}`);
+        }
+        if (!Array.isArray(steps)) {
+            throw new Error('Steps must be a JSON array.');
+        }
+        steps.forEach((step, index) => {
+            const label = `Step ${index + 1}`;
+            if (!step || typeof step !== 'object' || Array.isArray(step)) {
+                throw new Error(`${label}: must be an object like { "node": "find_replace", "params": {...} }.`);
+            }
+            if (!MACRO_STEP_TYPES[step.node]) {
+                throw new Error(`${label}: unknown node "${step.node}". Available: ${Object.keys(MACRO_STEP_TYPES).join(', ')}.`);
+            }
+            if (step.params !== undefined && (typeof step.params !== 'object' || step.params === null || Array.isArray(step.params))) {
+                throw new Error(`${label} (${step.node}): "params" must be an object.`);
+            }
+            // Building the node validates the parameter names and values.
+            this.createHeadlessNode(step.node, step.params || {}, label);
+        });
+        return steps.map(step => ({ node: step.node, params: step.params || {} }));
+    }
+
+    /**
+     * Builds a node model of the given type that a processor can run against without it being part
+     * of the graph: its parameters are validated against the type's schema and its inputs are
+     * supplied through `headlessInputs` instead of wires.
+     */
+    createHeadlessNode(type, params, label = type) {
+        const headlessNode = this.createNodeModel(type, `headless_${type}`, {
+            params: this.normalizeParams(type, params, { strict: true, label })
+        });
+        headlessNode.headlessInputs = {};
+        return headlessNode;
+    }
+
+    /**
+     * Runs macro steps in order, feeding each step's output into the next. A step fails when its
+     * processor throws or ends with an error status; a warning status is copied into the log.
+     * @param {Array<{node: string, params: Object}>} steps - Validated steps from parseMacroSteps.
+     * @param {*} input - Value given to the first step.
+     * @param {function(number)} [onStep] - Called before each step with its index.
+     * @returns {Promise<{value: *, log: string[], warnings: number}>} - The last step's output, a line
+     *          per step (followed by its warning, if any) and how many steps warned.
+     */
+    async runMacroSteps(steps, input, onStep = () => {}) {
+        let value = input;
+        const log = [];
+        let warnings = 0;
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const { input: inputSocket, output: outputSocket } = MACRO_STEP_TYPES[step.node];
+            onStep(i);
+            const node = this.createHeadlessNode(step.node, step.params, `Step ${i + 1}`);
+            node.headlessInputs[inputSocket] = [value];
+            try {
+                await this.getNodeProcessor(step.node)(node);
+            } catch (e) {
+                throw new Error(`Step ${i + 1} (${step.node}) failed: ${e.message}`);
+            }
+            // Processors report failures they recover from (bad rows, a missing input) through their status.
+            const status = node.status || {};
+            if (status.level === 'error') {
+                throw new Error(`Step ${i + 1} (${step.node}) failed: ${status.text}`);
+            }
+            value = node.outputs[outputSocket];
+            const summary = describeWireValue(value);
+            log.push(`${i + 1}. ${step.node} → ${[summary.type, summary.size].filter(Boolean).join(', ')}`);
+            if (status.level === 'warning') {
+                warnings++;
+                log.push(...status.text.split('\n').map(line => `   ${line}`));
+            }
+        }
+        return { value, log, warnings };
+    }
+
+    // --- GROUPS (SUBGRAPHS) ---
+
+    getGroupSockets(subgraph) {
+        const sockets = { inputs: {}, outputs: {} };
+        subgraph.inputs.forEach(input => {
+            sockets.inputs[input.name] = input.multi ? { type: input.type, multi: true } : input.type;
+        });
+        subgraph.outputs.forEach(output => {
+            sockets.outputs[output.name] = output.type;
+        });
+        return sockets;
+    }
+
+    async processGroupNode(nodeData) {
+        const inputValues = {};
+        nodeData.subgraph.inputs.forEach(input => {
+            inputValues[input.name] = this.getInputValues(nodeData, input.name);
+        });
+        const outputs = await this.runSubgraph(nodeData.subgraph, inputValues, (index, total) => {
+            this.setStatus(nodeData, `Running node ${index + 1} of ${total}...`);
+        });
+        Object.assign(nodeData.outputs, outputs);
+        // An output whose inner source did not fire (e.g. a Switch branch) doesn't fire either.
+        nodeData.subgraph.outputs.forEach(output => {
+            if (!(output.name in outputs)) nodeData.inactiveOutputs.add(output.name);
+        });
+        this.setStatus(nodeData, `Ran ${nodeData.subgraph.nodes.length} inner node(s).`, 'info');
+    }
+
+    // Like a group's sockets, except that the first input takes the array of items and every output
+    // collects one value per item.
+    getForEachSockets(subgraph) {
+        const sockets = this.getGroupSockets(subgraph);
+        if (subgraph.inputs.length > 0) {
+            sockets.inputs[subgraph.inputs[0].name] = 'table';
+        }
+        Object.keys(sockets.outputs).forEach(name => {
+            sockets.outputs[name] = 'table';
+        });
+        sockets.outputs.item_errors = { type: 'table', label: 'Item Errors' };
+        return sockets;
+    }
+
+    async processForEachNode(nodeData) {
+        const { subgraph } = nodeData;
+        const [itemInput, ...sharedInputs] = subgraph.inputs;
+        if (!itemInput) {
+            throw new Error('The for-each node has no input to receive the items.');
+        }
+        const items = this.getInputValue(nodeData, itemInput.name) ?? [];
+        if (!Array.isArray(items)) {
+            throw new Error(`Expected an array of items, got ${describeWireValue(items).type}.`);
+        }
+        const onError = this.getParams(nodeData).on_error;
+
+        // Inputs other than the item one carry the same value into every iteration.
+        const sharedValues = {};
+        sharedInputs.forEach(input => {
+            sharedValues[input.name] = this.getInputValues(nodeData, input.name);
+        });
+        const results = {};
+        subgraph.outputs.forEach(output => {
+            results[output.name] = [];
+        });
+        const itemErrors = [];
+        let lastYield = Date.now();
+
+        for (let index = 0; index < items.length; index++) {
+            this.setStatus(nodeData, `Item ${index + 1} of ${items.length}...`);
+            let outputs;
+            try {
+                outputs = await this.runSubgraph(subgraph, { ...sharedValues, [itemInput.name]: [items[index]] });
+            } catch (e) {
+                if (onError === 'stop') {
+                    throw new Error(`Item ${index + 1}: ${e.message}`);
+                }
+                itemErrors.push({ index, item: items[index], error: e.message });
+                outputs = onError === 'null' ? {} : null;
+            }
+            if (outputs) {
+                subgraph.outputs.forEach(output => results[output.name].push(outputs[output.name] ?? null));
+            }
+            // Long runs hand control back now and then so the progress can be painted.
+            if (Date.now() - lastYield > 50) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = Date.now();
+            }
+        }
+
+        Object.assign(nodeData.outputs, results, { item_errors: itemErrors });
+        if (itemErrors.length === 0) {
+            this.setStatus(nodeData, `Ran ${items.length} item(s) through ${subgraph.nodes.length} inner node(s).`, 'info');
+            return;
+        }
+        const shown = itemErrors.slice(0, 5).map(e => `Item ${e.index + 1}: ${e.error}`);
+        if (itemErrors.length > shown.length) {
+            shown.push(`...and ${itemErrors.length - shown.length} more on the Item Errors output.`);
+        }
+        const outcome = onError === 'null' ? 'gave null' : 'were left out';
+        this.setStatus(nodeData, `${itemErrors.length} of ${items.length} item(s) failed and ${outcome}:\n${shown.join('\n')}`, 'warning');
+    }
+
+    /**
+     * Executes a group's inner nodes off-canvas, in dependency order, with the same processors the canvas uses.
+     * Inner nodes are skipped and fail by the same rules as a top-level pass: a node whose inputs only come
+     * from outputs that did not fire is skipped, and a failure (a thrown error or an error status) ends the
+     * run unless the failed node has an error output to carry it.
+     * @param {Object} subgraph - `{ nodes, connections, inputs, outputs }` as stored on a group node.
+     * @param {Object<string, Array>} inputValues - Values arriving on each group input, keyed by socket name.
+     * @param {function(number, number)} [onNode] - Progress callback (index, total).
+     * @returns {Promise<Object>} - Values for each group output, keyed by socket name. Outputs whose inner
+     *          source did not fire are left out.
+     */
+    async runSubgraph(subgraph, inputValues, onNode = () => {}) {
+        const nodes = new Map();
+        subgraph.nodes.forEach(state => {
+            const node = this.createNodeModel(state.type, state.id, {
+                params: state.content, subgraph: state.subgraph, muted: state.muted, bypassed: state.bypassed
+            });
+            node.headlessInputs = {};
+            node.errorOutput = !!state.errorOutput;
+            nodes.set(state.id, node);
+        });
+        subgraph.inputs.forEach(input => {
+            const inputs = nodes.get(input.target.node).headlessInputs;
+            inputs[input.target.socket] = (inputs[input.target.socket] || []).concat(inputValues[input.name] || []);
+        });
+
+        const { order, blocked } = this.topologicalSort(new Set(nodes.keys()), subgraph.connections);
+        if (blocked.length > 0) {
+            throw new Error('The group contains a dependency cycle.');
+        }
+
+        // Mirrors failNode: a node with an error output emits the failure there, any other ends the run.
+        const fail = (node, message) => {
+            if (!node.errorOutput) {
+                throw new Error(`${this.getModelTitle(node)} (${node.id}) failed: ${message}`);
+            }
+            node.error = { message, nodeId: node.id, nodeTitle: this.getModelTitle(node), upstream: false };
+            node.outputs = { error_out: { ...node.error } };
+            node.inactiveOutputs = new Set();
+        };
+        const silence = (node, execState) => {
+            node.outputs = {};
+            node.inactiveOutputs = new Set(Object.keys(node.sockets.outputs));
+            node.execState = execState;
+        };
+
+        for (let i = 0; i < order.length; i++) {
+            const nodeId = order[i];
+            const node = nodes.get(nodeId);
+            onNode(i, order.length);
+            if (node.muted) {
+                silence(node, 'muted');
+                continue;
+            }
+
+            const inputState = this.resolveInputState(node, subgraph.connections, nodes);
+            if (inputState.failedSource) {
+                const { nodeTitle, nodeId: sourceId, message } = inputState.failedSource.error;
+                fail(node, `Upstream failed: ${nodeTitle} (${sourceId}): ${message}`);
+                continue;
+            }
+            if (inputState.skipped) {
+                silence(node, 'skipped');
+                continue;
+            }
+            subgraph.connections.filter(c => c.to.node === nodeId && this.getWireState(c, nodes) === 'live').forEach(c => {
+                const inputs = node.headlessInputs;
+                (inputs[c.to.socket] = inputs[c.to.socket] || []).push(nodes.get(c.from.node).outputs[c.from.socket]);
+            });
+
+            if (node.bypassed) {
+                node.outputs = this.computeBypassOutputs(node);
+                continue;
+            }
+            const processor = this.getNodeProcessor(node.type);
+            if (!processor) continue;
+            try {
+                await processor(node);
+            } catch (e) {
+                fail(node, e.message);
+                continue;
+            }
+            // As in runMacroSteps, a processor that reports an error status has failed.
+            if (node.status && node.status.level === 'error') {
+                fail(node, node.status.text);
+                continue;
+            }
+            if (node.errorOutput) {
+                delete node.outputs.error_out;
+                node.inactiveOutputs.add('error_out');
+            }
+        }
+
+        const outputs = {};
+        subgraph.outputs.forEach(output => {
+            const state = this.getWireState({ from: output.source }, nodes);
+            if (state === 'failed') {
+                const { nodeTitle, nodeId, message } = nodes.get(output.source.node).error;
+                throw new Error(`${nodeTitle} (${nodeId}) failed: ${message}`);
+            }
+            if (state === 'live') {
+                outputs[output.name] = nodes.get(output.source.node).outputs[output.source.socket];
+            }
+        });
+        return outputs;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LibertasCore, SOCKET_TYPES, COERCIBLE_SOCKET_TYPES, SOCKET_CONVERTERS, MACRO_STEP_TYPES, checkSocketCompatibility, hashString, describeWireValue, parseCsv, sniffCsvDelimiter, inferCsvColumnTypes, parseXml, xmlElementToJson, evaluateXPath, serializeXml, createSeededRandom, renderChartSvg };
+}
@@ -153,8 +153,33 @@ const customSyntaxHighlighter = {
     }
 };
 
-class NodeBasedIDE {
+/**
+ * Pretty-prints a value for the inspector, truncated so huge payloads don't freeze the popover.
+ * @param {*} value
+ * @param {number} [maxLength=2000]
+ * @returns {string}
+ */
+function formatWirePreview(value, maxLength = 2000) {
+    let text;
+    if (typeof value === 'string') {
+        text = value;
+    } else {
+        try {
+            text = JSON.stringify(value, null, 2);
+        } catch (e) {
+            text = String(value);
+        }
+    }
+    if (text === undefined) return '';
+    return text.length > maxLength ? `${text.slice(0, maxLength)}\n… (${text.length - maxLength} more characters)` : text;
+}
+
+// Height of one row in a Table node's grid; rows are positioned from it rather than measured.
+const TABLE_VIEW_ROW_HEIGHT = 24;
+
+class NodeBasedIDE extends LibertasCore {
     constructor() {
+        super();
         this.canvas = document.getElementById('canvas');
         this.world = document.getElementById('world');
         this.sidebar = document.getElementById('properties-sidebar');
@@ -163,10 +188,6 @@ class NodeBasedIDE {
         this.connectionsContainer = document.getElementById('connections');
         this.selectionRect = document.getElementById('selection-rect');
 
-        this.nodes = new Map();
-        this.connections = [];
-        this.nodeCounter = 0;
-        
         this.selectedNodes = new Set();
         this.draggedNode = null;
         this.draggedNodesInitialPositions = new Map();
@@ -201,44 +222,14 @@ class NodeBasedIDE {
         this.tesseractWorker = null;
         this.tesseractLoading = false;
         this.tesseractLoaded = false;
-        
-        this.nodeProcessors = {
-            text: this.processTextNode.bind(this),
-            find_replace: this.processFindReplaceNode.bind(this),
-            import: this.processImportNode.bind(this),
-            export: this.processExportNode.bind(this),
-            csv: this.processCsvNode.bind(this),
-            json: this.processJsonNode.bind(this),
-            xml: this.processXmlNode.bind(this),
-            filter: this.processFilterNode.bind(this),
-            transform: this.processTransformNode.bind(this),
-            merge: this.processMergeNode.bind(this),
-            split: this.processSplitNode.bind(this),
-            aggregate: this.processAggregateNode.bind(this),
-            
-            // Automation Nodes
-            spell_check: this.processSpellCheckNode.bind(this),
-            translation: this.processTranslationNode.bind(this),
-            summarization: this.processSummarizationNode.bind(this),
-            sentiment_analysis: this.processSentimentAnalysisNode.bind(this),
-            auto_format: this.processAutoFormatNode.bind(this),
-            template: this.processTemplateNode.bind(this),
-            macro: this.processMacroNode.bind(this),
-            ocr: this.processOcrNode.bind(this),
-            tts: this.processTtsNode.bind(this),
-
-            // Publishing Nodes
-            email: this.processEmailNode.bind(this),
-            pdf: this.processPdfNode.bind(this),
-            html_render: this.processHtmlRenderNode.bind(this),
-            qr_code: this.processQrCodeNode.bind(this),
-            social_share: this.processSocialShareNode.bind(this),
-            screenshot: this.processScreenshotNode.bind(this),
-            print: this.processPrintNode.bind(this),
-        };
+
+        this.groupEditing = null; // { title, nodeIds, notification } while a group is expanded for editing
+        this.wireInspectors = { hover: null, pinned: new Map() }; // pinned: connection key -> popover element
+        this.tableViews = new Map(); // node id -> { rows, columns, order } shown by a Table node's grid
 
         this.initLibraries();
         this.initEventListeners();
+        this.installQueuedNodePacks();
         this.recordState("Initial State");
     }
 
@@ -302,6 +293,10 @@ class NodeBasedIDE {
                 e.preventDefault();
                 this.redo();
             }
+            if (e.ctrlKey && e.key.toLowerCase() === 'g') {
+                e.preventDefault();
+                this.groupSelection();
+            }
         });
 
         document.addEventListener('mousemove', (e) => {
@@ -400,18 +395,50 @@ class NodeBasedIDE {
         document.getElementById('save-btn').addEventListener('click', () => this.saveSession());
         document.getElementById('load-btn').addEventListener('click', () => document.getElementById('load-file-input').click());
         document.getElementById('load-file-input').addEventListener('change', (e) => this.loadSession(e));
+        document.getElementById('node-pack-input').addEventListener('change', (e) => this.loadNodePackFile(e));
         document.getElementById('add-node-btn').addEventListener('click', () => this.showAddNodeSidebar());
+        document.getElementById('variables-btn').addEventListener('click', () => this.showVariablesSidebar());
+        document.getElementById('run-btn').addEventListener('click', () => this.runFromToolbar());
+        document.getElementById('group-btn').addEventListener('click', () => this.groupSelection());
+        document.getElementById('iterate-btn').addEventListener('click', () => this.iterateSelection());
+        document.getElementById('exec-mode-select').addEventListener('change', (e) => {
+            this.setExecutionMode(e.target.value);
+            this.recordState("Change Execution Mode");
+        });
 
         // Tool selection listeners
         document.getElementById('pointer-tool').addEventListener('click', () => this.setSelectionMode('pointer'));
         document.getElementById('rect-select-tool').addEventListener('click', () => this.setSelectionMode('rect-select'));
 
+        this.connectionsContainer.addEventListener('mouseover', (e) => {
+            const target = e.target.closest('[data-conn-index]');
+            if (target) {
+                this.showHoverInspector(this.connections[target.dataset.connIndex], e.clientX, e.clientY);
+            }
+        });
+        this.connectionsContainer.addEventListener('mouseout', (e) => {
+            const target = e.target.closest('[data-conn-index]');
+            // Moving between the hitbox and the visible wire of the same connection is not leaving it.
+            if (target && !(e.relatedTarget && target.contains(e.relatedTarget))) {
+                this.hideHoverInspector();
+            }
+        });
+        this.connectionsContainer.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-conn-index]');
+            if (target) {
+                e.stopPropagation();
+                this.hideHoverInspector();
+                this.pinWireInspector(this.connections[target.dataset.connIndex], e.clientX, e.clientY);
+            }
+        });
+
         this.connectionsContainer.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             const target = e.target.closest('[data-conn-index]');
             if (target) {
                 const index = parseInt(target.dataset.connIndex, 10);
                 const removedConn = this.connections.splice(index, 1)[0];
+                this.refreshCycleState();
                 this.recordState("Delete Connection");
                 this.updateConnections();
                 this.updateSocketStates();
@@ -487,6 +514,238 @@ class NodeBasedIDE {
         this.sidebarToggle.innerHTML = isCollapsed ? '&raquo;' : '&laquo;';
     }
     
+    // --- NODE VIEWS ---
+
+    registerBuiltInNodeTypes() {
+        super.registerBuiltInNodeTypes();
+        // The core knows what each type does; the IDE adds how it looks, plus the processors that need a browser.
+        const views = {
+            text: { render: this.createTextNodeContent },
+            find_replace: { render: this.createFindReplaceNodeContent, view: this.renderFindReplaceMatches },
+            import: { render: this.createImportNodeContent },
+            export: { render: this.createExportNodeContent },
+            csv: { render: this.createCsvNodeContent },
+            json: { render: this.createJsonNodeContent },
+            xml: { render: this.createXmlNodeContent },
+            filter: { render: this.createFilterNodeContent },
+            transform: { render: this.createTransformNodeContent },
+            merge: { render: this.createMergeNodeContent },
+            switch: { render: this.createSwitchNodeContent },
+            split: { render: this.createSplitNodeContent, view: this.renderSplitView },
+            aggregate: { render: this.createAggregateNodeContent },
+            sort: { render: this.createSortNodeContent },
+            dedupe: { render: this.createDedupeNodeContent },
+            limit: { render: this.createLimitNodeContent },
+            sample: { render: this.createSampleNodeContent },
+            table_view: { render: this.createTableViewNodeContent, view: this.renderTableView },
+            spell_check: { render: this.createSpellCheckNodeContent, process: this.processSpellCheckNode },
+            translation: { render: this.createTranslationNodeContent },
+            summarization: { render: this.createSummarizationNodeContent },
+            sentiment_analysis: { render: this.createSentimentAnalysisNodeContent },
+            auto_format: { render: this.createAutoFormatNodeContent },
+            template: { render: this.createTemplateNodeContent },
+            macro: { render: this.createMacroNodeContent },
+            ocr: { render: this.createOcrNodeContent, process: this.processOcrNode },
+            tts: { render: this.createTtsNodeContent, process: this.processTtsNode },
+            email: { render: this.createEmailNodeContent, process: this.processEmailNode },
+            pdf: { render: this.createPdfNodeContent, process: this.processPdfNode },
+            html_render: { render: this.createHtmlRenderNodeContent },
+            chart: { render: this.createChartNodeContent, view: this.renderChartPreview },
+            qr_code: { render: this.createQrCodeNodeContent, process: this.processQrCodeNode, view: this.renderQrCode },
+            social_share: { render: this.createSocialShareNodeContent, process: this.processSocialShareNode },
+            screenshot: { render: this.createScreenshotNodeContent, process: this.processScreenshotNode },
+            print: { render: this.createPrintNodeContent, process: this.processPrintNode },
+            container: { render: this.createContainerNodeContent },
+            column: { render: this.createColumnNodeContent },
+            group: { render: this.createGroupNodeContent },
+            for_each: { render: this.createForEachNodeContent }
+        };
+        ['grid', 'flex', 'tabs', 'accordion', 'card', 'sidebar', 'header_footer', 'spacer'].forEach(type => {
+            views[type] = { render: this.createPlaceholderNodeContent };
+        });
+        Object.entries(views).forEach(([type, view]) => Object.assign(this.nodeTypes.get(type), view));
+    }
+
+    /**
+     * Registers a node type (see LibertasCore#registerNodeType) and makes it available on the canvas.
+     * In addition to the core fields, `definition.view(nodeData)` may update the node's element after each run.
+     */
+    registerNodeType(definition) {
+        if (definition && definition.view !== undefined && typeof definition.view !== 'function') {
+            throw new Error(`Node type "${definition.type}": view must be a function.`);
+        }
+        const stored = super.registerNodeType(definition);
+        if (!stored.render) {
+            stored.render = (options) => this.renderGenericNodeContent(stored, options);
+        }
+
+        // Nodes loaded before their type existed are rebuilt now that it does.
+        if ([...this.nodes.values()].some(nodeData => nodeData.missingType === stored.type)) {
+            this.deserialize(this.serialize());
+        }
+        if (this.sidebar && !this.sidebar.classList.contains('collapsed') && this.sidebar.querySelector('.sidebar-main-title')?.textContent === 'Add Node') {
+            this.populateSidebarForAddNode();
+        }
+        return stored;
+    }
+
+    // Paints the status as soon as it is set, so progress messages from long-running processors show up.
+    setStatus(nodeData, text, level = '') {
+        super.setStatus(nodeData, text, level);
+        if (nodeData.element) this.renderNodeStatus(nodeData);
+    }
+
+    renderNodeStatus(nodeData) {
+        const statusDiv = nodeData.element.querySelector('.node-status');
+        if (!statusDiv) return;
+        const colors = { ok: 'var(--socket-text)', info: 'var(--text-secondary)', warning: '#ff9800', error: '#f44336' };
+        statusDiv.textContent = nodeData.status ? nodeData.status.text : '';
+        statusDiv.style.color = nodeData.status ? (colors[nodeData.status.level] || '') : '';
+    }
+
+    // Brings a node's element up to date with its model after a run: status line, display fields and the type's own view hook.
+    renderNodeView(nodeData) {
+        if (!nodeData.element) return;
+        if (nodeData.status !== undefined) {
+            this.renderNodeStatus(nodeData);
+        }
+        Object.entries(nodeData.display).forEach(([key, value]) => {
+            nodeData.element.querySelectorAll(`[data-display="${key}"]`).forEach(el => {
+                // A control the user is typing into is ahead of the run that produced this value.
+                if (el === document.activeElement) return;
+                if ('value' in el) {
+                    el.value = value;
+                } else {
+                    el.textContent = value;
+                }
+            });
+        });
+        const definition = this.nodeTypes.get(nodeData.type);
+        if (definition && definition.view) {
+            definition.view.call(this, nodeData, this);
+        }
+    }
+
+    // Pushes `nodeData.params` into the node's controls after the model was changed in code.
+    syncParamControls(nodeData) {
+        nodeData.element.querySelectorAll('[data-param]').forEach(control => {
+            const value = nodeData.params[control.dataset.param];
+            if (value === undefined) return;
+            if (control.type === 'checkbox') {
+                control.checked = !!value;
+            } else {
+                control.value = value ?? '';
+            }
+        });
+    }
+
+    renderFindReplaceMatches(nodeData) {
+        const matchesDiv = nodeData.element.querySelector('[data-matches]');
+        const { matches, matchesNote, matchesError } = nodeData.display;
+        if (matchesError) {
+            matchesDiv.innerHTML = `<em style="color: #f44336;">${this.escapeHtml(matchesError)}</em>`;
+        } else if (matches) {
+            matchesDiv.innerHTML = matches.map((match, i) => `<div class="match-item">Match ${i + 1}: "${this.escapeHtml(match)}"</div>`).join('');
+        } else if (matchesNote) {
+            matchesDiv.innerHTML = `<em>${this.escapeHtml(matchesNote)}</em>`;
+        }
+    }
+
+    renderSocketRows(specs, direction) {
+        return Object.entries(specs).map(([name, spec]) => {
+            const label = this.escapeHtml((spec && spec.label) || name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()));
+            const socket = `<div class="socket ${direction}" data-socket="${this.escapeHtml(name)}"></div>`;
+            return direction === 'input'
+                ? `<div class="node-input">${socket}<span>${label}</span></div>`
+                : `<div class="node-output"><span>${label}</span>${socket}</div>`;
+        }).join('');
+    }
+
+    renderGenericNodeContent(definition, options) {
+        const sockets = (typeof definition.sockets === 'function' ? definition.sockets(options) : definition.sockets) || {};
+        const inputRows = this.renderSocketRows(sockets.inputs || {}, 'input');
+        const outputRows = this.renderSocketRows(sockets.outputs || {}, 'output');
+        const paramRows = definition.params.map(param => {
+            const value = options[param.name] !== undefined ? options[param.name] : param.default;
+            const name = this.escapeHtml(param.name);
+            const label = this.escapeHtml(param.label || param.name);
+            switch (param.type) {
+                case 'checkbox':
+                    return `<label class="checkbox-label"><input type="checkbox" data-param="${name}" ${value === true || value === 'true' ? 'checked' : ''}> ${label}</label>`;
+                case 'textarea':
+                    return `<div class="node-param-row"><label>${label}</label><textarea data-param="${name}">${this.escapeHtml(value ?? '')}</textarea></div>`;
+                case 'select':
+                    return `<div class="node-param-row"><label>${label}</label><select data-param="${name}">${(param.options || []).map(option =>
+                        `<option value="${this.escapeHtml(option)}" ${String(value) === String(option) ? 'selected' : ''}>${this.escapeHtml(option)}</option>`).join('')}</select></div>`;
+                default:
+                    return `<div class="node-param-row"><label>${label}</label><input type="${param.type === 'number' ? 'number' : 'text'}" data-param="${name}" value="${this.escapeHtml(value ?? '')}"></div>`;
+            }
+        }).join('');
+        return `
+            <div class="node-header"><span class="node-title">${this.escapeHtml(definition.title)}</span></div>
+            <div class="node-content">
+                ${inputRows}
+                ${paramRows}
+                <div class="node-status"></div>
+                ${outputRows}
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    // Stands in for a node whose type is not registered, keeping its sockets so its wires survive.
+    createMissingNodeContent(options) {
+        const { inputs = [], outputs = [] } = options.missingSockets || {};
+        return `
+            <div class="node-header"><span class="node-title">Missing: ${this.escapeHtml(options.type)}</span></div>
+            <div class="node-content">
+                ${inputs.map(name => `<div class="node-input"><div class="socket input" data-socket="${this.escapeHtml(name)}"></div><span>${this.escapeHtml(name)}</span></div>`).join('')}
+                <div class="node-status">Node type "${this.escapeHtml(options.type)}" is not registered. Load the node pack that provides it; the node's settings are kept until then.</div>
+                ${outputs.map(name => `<div class="node-output"><span>${this.escapeHtml(name)}</span><div class="socket output" data-socket="${this.escapeHtml(name)}"></div></div>`).join('')}
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    /**
+     * Runs a node pack: a function that receives the IDE and registers node types on it.
+     * Pack scripts queue themselves on `window.libertasNodePacks`, which works whether they load before or after the IDE.
+     */
+    installNodePack(pack) {
+        try {
+            if (typeof pack !== 'function') {
+                throw new Error('a node pack must be a function that receives the IDE.');
+            }
+            pack(this);
+        } catch (e) {
+            console.error('Node pack failed:', e);
+            this.showNotification(`Node pack failed to load: ${e.message}`, { level: 'error' });
+        }
+    }
+
+    installQueuedNodePacks() {
+        const queued = Array.isArray(window.libertasNodePacks) ? window.libertasNodePacks : [];
+        window.libertasNodePacks = { push: (...packs) => packs.forEach(pack => this.installNodePack(pack)) };
+        queued.forEach(pack => this.installNodePack(pack));
+    }
+
+    loadNodePackFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const script = document.createElement('script');
+        const url = URL.createObjectURL(file);
+        script.src = url;
+        script.onload = () => {
+            URL.revokeObjectURL(url);
+            this.showNotification(`Loaded node pack "${file.name}".`);
+        };
+        script.onerror = () => {
+            URL.revokeObjectURL(url);
+            this.showNotification(`Could not load node pack "${file.name}".`, { level: 'error' });
+        };
+        document.head.appendChild(script);
+        event.target.value = '';
+    }
+
     createNode(type, x, y, options = {}) {
         const nodeId = options.id || 'node_' + this.nodeCounter++;
         if (parseInt(nodeId.split('_')[1]) >= this.nodeCounter) {
@@ -502,56 +761,21 @@ class NodeBasedIDE {
         if (options.width) node.style.width = options.width;
         if (options.height) node.style.height = options.height;
 
-        let nodeContentHTML = '';
-        const nodeData = { 
-            element: node, type, inputs: {}, outputs: {},
+        // Callers pass settings either as `params` (sessions) or as loose options named after the params.
+        const definition = this.nodeTypes.get(type);
+        const params = options.params || Object.fromEntries((definition ? definition.params : [])
+            .filter(param => options[param.name] !== undefined)
+            .map(param => [param.name, options[param.name]]));
+        const nodeData = Object.assign(this.createNodeModel(type, nodeId, { ...options, params }), {
+            element: node,
             properties: {}, codeBlockProperties: {},
             isContainer: false,
             children: options.children || [],
             parentId: options.parentId || null,
             state: options.state || {}
-        };
-        
-        const nodeCreators = {
-            'text': this.createTextNodeContent,
-            'find_replace': this.createFindReplaceNodeContent,
-            'import': this.createImportNodeContent,
-            'export': this.createExportNodeContent,
-            'csv': this.createCsvNodeContent,
-            'json': this.createJsonNodeContent,
-            'xml': this.createXmlNodeContent,
-            'filter': this.createFilterNodeContent,
-            'transform': this.createTransformNodeContent,
-            'merge': this.createMergeNodeContent,
-            'split': this.createSplitNodeContent,
-            'aggregate': this.createAggregateNodeContent,
-            'container': this.createContainerNodeContent,
-            'column': this.createColumnNodeContent,
-            'grid': this.createPlaceholderNodeContent,
-            'flex': this.createPlaceholderNodeContent,
-            'tabs': this.createPlaceholderNodeContent,
-            'accordion': this.createPlaceholderNodeContent,
-            'card': this.createPlaceholderNodeContent,
-            'sidebar': this.createPlaceholderNodeContent,
-            'header_footer': this.createPlaceholderNodeContent,
-            'spacer': this.createPlaceholderNodeContent,
-            'spell_check': this.createSpellCheckNodeContent,
-            'translation': this.createTranslationNodeContent,
-            'summarization': this.createSummarizationNodeContent,
-            'sentiment_analysis': this.createSentimentAnalysisNodeContent,
-            'auto_format': this.createAutoFormatNodeContent,
-            'template': this.createTemplateNodeContent,
-            'macro': this.createMacroNodeContent,
-            'ocr': this.createOcrNodeContent,
-            'tts': this.createTtsNodeContent,
-            'email': this.createEmailNodeContent,
-            'pdf': this.createPdfNodeContent,
-            'html_render': this.createHtmlRenderNodeContent,
-            'qr_code': this.createQrCodeNodeContent,
-            'social_share': this.createSocialShareNodeContent,
-            'screenshot': this.createScreenshotNodeContent,
-            'print': this.createPrintNodeContent,
-        };
+        });
+        node.classList.toggle('bypassed', nodeData.bypassed);
+        node.classList.toggle('muted', nodeData.muted);
 
         const layoutNodeTypes = ['container', 'column', 'grid', 'flex', 'tabs', 'accordion', 'card', 'sidebar', 'header_footer'];
         if (layoutNodeTypes.includes(type)) {
@@ -559,8 +783,13 @@ class NodeBasedIDE {
             nodeData.isContainer = true;
         }
 
-        if (nodeCreators[type]) {
-            nodeContentHTML = nodeCreators[type].call(this, { ...options, nodeId, type });
+        let nodeContentHTML = '';
+        if (definition) {
+            nodeContentHTML = definition.render.call(this, { ...options, ...nodeData.params, nodeId, type });
+        } else {
+            // The params of a missing type are kept as saved until the type is registered.
+            nodeContentHTML = this.createMissingNodeContent({ ...options, type });
+            node.classList.add('missing-type');
         }
 
         if (type === 'text') {
@@ -590,10 +819,30 @@ class NodeBasedIDE {
         }
 
         node.innerHTML = nodeContentHTML;
+        this.applySocketTypes(node, definition ? nodeData.sockets : null);
+        const header = node.querySelector('.node-header');
+        if (header) {
+            header.insertAdjacentHTML('afterbegin', '<span class="node-exec-state" title="Idle"></span>');
+            header.querySelector('.node-title')?.insertAdjacentHTML('afterend', '<span class="node-error-badge" hidden></span>');
+        }
+        if (header && definition && definition.process) {
+            let controls = header.querySelector('.node-controls');
+            if (!controls) {
+                header.insertAdjacentHTML('beforeend', '<div class="node-controls"></div>');
+                controls = header.querySelector('.node-controls');
+            }
+            controls.insertAdjacentHTML('afterbegin', `<button class="mini-btn node-rerun-btn" title="Force re-run (ignore cached result)" onclick="ide.runNodes(['${nodeId}'])">&#8635;</button>`);
+            controls.insertAdjacentHTML('afterbegin', `
+                <button class="mini-btn node-flag-btn${nodeData.bypassed ? ' active' : ''}" data-flag="bypassed" title="Bypass: pass input straight to output">B</button>
+                <button class="mini-btn node-flag-btn${nodeData.muted ? ' active' : ''}" data-flag="muted" title="Mute: skip this node and output nothing">M</button>`);
+        }
         this.world.appendChild(node);
         this.nodes.set(nodeId, nodeData);
 
         this.setupNodeEvents(node);
+        if (options.errorOutput) {
+            this.setErrorOutput(nodeId, true);
+        }
         
         if (!options.fromSerialization) {
             this.recordState("Create Node");
@@ -607,14 +856,14 @@ class NodeBasedIDE {
                 <div class="node-controls"><button class="mini-btn" onclick="ide.togglePreview('${options.nodeId}')">Preview</button></div>
             </div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="text-content-wrapper">
-                    <textarea placeholder="Enter text..." data-output="text_out">${options.text || ''}</textarea>
+                    <textarea placeholder="Enter text..." data-param="text" data-display="text">${options.text || ''}</textarea>
                 </div>
                 <div class="node-preview">
                     <iframe sandbox="allow-scripts"></iframe>
                 </div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -623,7 +872,7 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Find & Replace</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="input_text"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="input_text"></div><span>Text In</span></div>
                 <div class="find-replace-row"><input type="text" placeholder="Find..." data-param="find" value="${options.find || ''}" style="flex: 1;"></div>
                 <div class="find-replace-row"><input type="text" placeholder="Replace with..." data-param="replace" value="${options.replace || ''}" style="flex: 1;"></div>
                 <div class="find-replace-options">
@@ -633,7 +882,7 @@ class NodeBasedIDE {
                 </div>
                 <div class="regex-tester"><div style="font-weight: bold; margin-bottom: 4px;">Regex Tester</div><div class="regex-matches" data-matches></div></div>
                 <div class="node-status"></div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="output_text"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="output_text"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -643,9 +892,9 @@ class NodeBasedIDE {
             <div class="node-header"><span class="node-title">Import Data</span></div>
             <div class="node-content">
                 <div class="text-content-wrapper">
-                    <textarea placeholder="Paste your data here..." data-output="data_out">${options.data_out || options.text || ''}</textarea>
+                    <textarea placeholder="Paste your data here..." data-param="data_out">${options.data_out || options.text || ''}</textarea>
                 </div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -654,9 +903,9 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Export Data</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
                 <div class="text-content-wrapper">
-                    <textarea readonly placeholder="Output will appear here..."></textarea>
+                    <textarea readonly placeholder="Output will appear here..." data-display="text"></textarea>
                 </div>
             </div>
             <div class="resize-handle"></div>`;
@@ -666,8 +915,26 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">CSV Parser</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="csv_in"></div><span>CSV In</span></div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                <div class="node-input"><div class="socket input" data-socket="csv_in"></div><span>CSV In</span></div>
+                <div class="node-param-row">
+                    <label>Delimiter</label>
+                    <select data-param="delimiter">
+                        ${[['auto', 'Detect'], [',', 'Comma'], [';', 'Semicolon'], ['tab', 'Tab'], ['|', 'Pipe']].map(([value, label]) =>
+                            `<option value="${value}" ${options.delimiter === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <label>Quote</label>
+                    <select data-param="quote">
+                        ${[['"', 'Double'], ["'", 'Single'], ['none', 'None']].map(([value, label]) =>
+                            `<option value="${this.escapeHtml(value)}" ${options.quote === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="find-replace-options">
+                    <label class="checkbox-label" title="Take column names from the first line"><input type="checkbox" data-param="header" ${options.header ? 'checked' : ''}> Header</label>
+                    <label class="checkbox-label" title="Turn columns of numbers, true/false and ISO dates into typed values; empty cells become null"><input type="checkbox" data-param="infer_types" ${options.infer_types ? 'checked' : ''}> Infer Types</label>
+                    <label class="checkbox-label" title="Remove spaces around unquoted values"><input type="checkbox" data-param="trim" ${options.trim ? 'checked' : ''}> Trim</label>
+                </div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -676,7 +943,7 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">JSON Processor</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
                 <div class="node-param-row">
                     <select data-param="operation">
                         <option value="parse" ${options.operation === 'parse' ? 'selected' : ''}>Parse Text</option>
@@ -684,7 +951,7 @@ class NodeBasedIDE {
                     </select>
                 </div>
                 <div class="node-status"></div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -693,21 +960,113 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">XML Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="xml_in"></div><span>XML In</span></div>
-                <div class="node-status">Note: XML parsing not yet implemented.</div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                ${this.renderSocketRows(this.getXmlSockets(options).inputs, 'input')}
+                <div class="node-param-row">
+                    <select data-param="operation">
+                        <option value="parse" ${options.operation === 'parse' ? 'selected' : ''}>Parse XML to Data</option>
+                        <option value="serialize" ${options.operation === 'serialize' ? 'selected' : ''}>Serialize Data to XML</option>
+                    </select>
+                </div>
+                <div class="node-param-row"><label>XPath</label><input type="text" data-param="xpath" placeholder="Optional, e.g. //book[price > 10]" value="${this.escapeHtml(options.xpath || '')}"></div>
+                <div class="node-param-row">
+                    <label>Attribute prefix</label><input type="text" data-param="attr_prefix" value="${this.escapeHtml(options.attr_prefix ?? '@')}">
+                    <label>Text key</label><input type="text" data-param="text_key" value="${this.escapeHtml(options.text_key || '#text')}">
+                </div>
+                <div class="find-replace-options">
+                    <label class="checkbox-label"><input type="checkbox" data-param="ignore_attributes" ${options.ignore_attributes ? 'checked' : ''}> Ignore Attributes</label>
+                    <label class="checkbox-label"><input type="checkbox" data-param="trim_text" ${options.trim_text ? 'checked' : ''}> Trim Text</label>
+                    <label class="checkbox-label" title="Make every child element an array, even when it appears once"><input type="checkbox" data-param="always_array" ${options.always_array ? 'checked' : ''}> Always Arrays</label>
+                </div>
+                <div class="node-param-row">
+                    <label>Root</label><input type="text" data-param="root_name" placeholder="From the data" value="${this.escapeHtml(options.root_name || '')}">
+                    <label>Indent</label><input type="number" min="0" max="8" data-param="indent" value="${options.indent ?? 2}">
+                </div>
+                <div class="node-status"></div>
+                ${this.renderSocketRows(this.getXmlSockets(options).outputs, 'output')}
             </div>
             <div class="resize-handle"></div>`;
     }
 
     createSplitNodeContent(options) {
+        const { inputs, outputs } = this.getSplitSockets(options);
+        const modes = [['predicate', 'By condition'], ['ratio', 'By ratio (random)'], ['chunk', 'Into chunks'], ['text', 'Text by delimiter']];
         return `
             <div class="node-header"><span class="node-title">Split Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in"></div><span>Data In</span></div>
-                <div class="node-status">Note: Split logic not yet implemented.</div>
-                <div class="node-output"><span>Data Out 1</span><div class="socket output text-type" data-socket="data_out_1"></div></div>
-                <div class="node-output"><span>Data Out 2</span><div class="socket output text-type" data-socket="data_out_2"></div></div>
+                ${this.renderSocketRows(inputs, 'input')}
+                <div class="node-param-row">
+                    <select data-param="mode">
+                        ${modes.map(([value, label]) => `<option value="${value}" ${options.mode === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="split-mode-options" data-split-mode="predicate" ${options.mode !== 'predicate' ? 'hidden' : ''}>
+                    <textarea data-param="condition" placeholder="Condition for output 1 (e.g., row.age > 30)">${this.escapeHtml(options.condition || '')}</textarea>
+                    <div class="node-param-row sandbox-timeout">
+                        <label>Timeout (ms)</label>
+                        <input type="number" min="10" step="100" data-param="timeout" value="${options.timeout || 1000}">
+                    </div>
+                </div>
+                <div class="node-param-row split-mode-options" data-split-mode="ratio" ${options.mode !== 'ratio' ? 'hidden' : ''}>
+                    <label>Ratio</label><input type="number" min="0" max="1" step="0.05" data-param="ratio" value="${options.ratio ?? 0.8}">
+                    <label>Seed</label><input type="text" data-param="seed" placeholder="Random" value="${this.escapeHtml(options.seed || '')}">
+                </div>
+                <div class="node-param-row split-mode-options" data-split-mode="chunk" ${options.mode !== 'chunk' ? 'hidden' : ''}>
+                    <label>Chunks</label><input type="number" min="1" max="20" data-param="chunks" value="${options.chunks ?? 2}">
+                </div>
+                <div class="split-mode-options" data-split-mode="text" ${options.mode !== 'text' ? 'hidden' : ''}>
+                    <div class="node-param-row"><label>Delimiter</label><input type="text" data-param="delimiter" value="${this.escapeHtml(options.delimiter ?? ',')}"></div>
+                    <div class="find-replace-options">
+                        <label class="checkbox-label"><input type="checkbox" data-param="regex" ${options.regex ? 'checked' : ''}> Regex</label>
+                        <label class="checkbox-label"><input type="checkbox" data-param="skip_empty" ${options.skip_empty ? 'checked' : ''}> Skip Empty</label>
+                    </div>
+                </div>
+                <div class="node-status"></div>
+                ${this.renderSocketRows(outputs, 'output')}
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    // Shows only the settings of the selected mode, and the row count next to each output.
+    renderSplitView(nodeData) {
+        nodeData.element.querySelectorAll('[data-split-mode]').forEach(el => {
+            el.hidden = el.dataset.splitMode !== nodeData.params.mode;
+        });
+        nodeData.element.querySelectorAll('.node-output .socket').forEach(socket => {
+            const row = socket.closest('.node-output');
+            let badge = row.querySelector('.output-count');
+            const count = (nodeData.display.counts || {})[socket.dataset.socket];
+            if (count === undefined) {
+                badge?.remove();
+                return;
+            }
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'output-count';
+                row.insertBefore(badge, socket);
+            }
+            badge.textContent = count;
+        });
+    }
+
+    createSwitchNodeContent(options) {
+        const { outputs } = this.getSwitchSockets(options);
+        return `
+            <div class="node-header"><span class="node-title">Switch</span></div>
+            <div class="node-content">
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-param-row">
+                    <select data-param="mode">
+                        <option value="value" ${options.mode === 'value' ? 'selected' : ''}>Route the whole value</option>
+                        <option value="rows" ${options.mode === 'rows' ? 'selected' : ''}>Route each row</option>
+                    </select>
+                </div>
+                <textarea data-param="branches" placeholder="One condition per line, e.g. row.total > 100 (the input is also value)">${this.escapeHtml(options.branches || '')}</textarea>
+                <div class="node-param-row sandbox-timeout">
+                    <label>Timeout (ms)</label>
+                    <input type="number" min="10" step="100" data-param="timeout" value="${options.timeout || 1000}">
+                </div>
+                <div class="node-status" style="margin-top: 8px;"></div>
+                ${this.renderSocketRows(outputs, 'output')}
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -716,10 +1075,14 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Filter Data</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
                 <textarea data-param="condition" placeholder="Filter condition (e.g., row.age > 30)">${options.condition || ''}</textarea>
+                <div class="node-param-row sandbox-timeout">
+                    <label>Timeout (ms)</label>
+                    <input type="number" min="10" step="100" data-param="timeout" value="${options.timeout || 1000}">
+                </div>
                 <div class="node-status" style="margin-top: 8px;"></div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -729,61 +1092,404 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Transform Data</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
                 <textarea data-param="logic" placeholder="Enter transform logic...">${options.logic || defaultLogic}</textarea>
+                <div class="node-param-row sandbox-timeout">
+                    <label>Timeout (ms)</label>
+                    <input type="number" min="10" step="100" data-param="timeout" value="${options.timeout || 1000}">
+                </div>
                 <div class="node-status" style="margin-top: 8px;"></div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
 
     createMergeNodeContent(options) {
+        const joins = [['inner', 'Inner'], ['left', 'Left'], ['right', 'Right'], ['full', 'Full outer'], ['semi', 'Semi (left rows with a match)'], ['anti', 'Anti (left rows without a match)']];
+        const conflicts = [['suffix', 'Suffix'], ['prefix', 'Prefix'], ['overwrite', 'Right overwrites']];
         return `
             <div class="node-header"><span class="node-title">Merge Data</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in_1"></div><span>Data In 1 (Left)</span></div>
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in_2"></div><span>Data In 2 (Right)</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in_1"></div><span>Data In 1 (Left)</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in_2"></div><span>Data In 2+ (Right, multiple)</span></div>
                 <div class="node-param-row">
-                    <input type="text" data-param="key" placeholder="Join Key (e.g., id or left_id=right_id)" value="${options.key || ''}">
+                    <input type="text" data-param="key" placeholder="Join Key (e.g., id, a,b or left_id=right_id)" value="${this.escapeHtml(options.key || '')}">
                 </div>
-                    <div class="node-status"></div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                <div class="node-param-row">
+                    <label>Join</label>
+                    <select data-param="join">
+                        ${joins.map(([value, label]) => `<option value="${value}" ${options.join === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="node-param-row">
+                    <label>Clashes</label>
+                    <select data-param="conflict">
+                        ${conflicts.map(([value, label]) => `<option value="${value}" ${options.conflict === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <input type="text" data-param="conflict_tag" placeholder="right" value="${this.escapeHtml(options.conflict_tag ?? 'right')}">
+                </div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
 
     createAggregateNodeContent(options) {
+        const functions = [['sum', 'Sum'], ['count', 'Count'], ['avg', 'Average'], ['min', 'Min'], ['max', 'Max'], ['median', 'Median'],
+            ['distinct', 'Distinct count'], ['first', 'First'], ['last', 'Last'], ['stddev', 'Std. deviation'], ['concat', 'Concatenate']];
         return `
             <div class="node-header"><span class="node-title">Aggregate Data</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
                 <div class="node-param-row">
-                        <input type="text" data-param="groupBy" placeholder="Group By Key" value="${options.groupBy || ''}">
+                        <input type="text" data-param="groupBy" placeholder="Group By Keys (e.g., region, category)" value="${this.escapeHtml(options.groupBy || '')}">
                 </div>
                 <div class="node-param-row">
                         <select data-param="aggFunc">
-                            <option value="sum" ${options.aggFunc === 'sum' ? 'selected' : ''}>Sum</option>
-                            <option value="count" ${options.aggFunc === 'count' ? 'selected' : ''}>Count</option>
-                            <option value="avg" ${options.aggFunc === 'avg' ? 'selected' : ''}>Average</option>
+                            ${functions.map(([value, label]) => `<option value="${value}" ${options.aggFunc === value ? 'selected' : ''}>${label}</option>`).join('')}
                         </select>
-                        <input type="text" data-param="aggKey" placeholder="Of Key" value="${options.aggKey || ''}">
+                        <input type="text" data-param="aggKey" placeholder="Of Key" value="${this.escapeHtml(options.aggKey || '')}">
+                </div>
+                <textarea data-param="metrics" placeholder="More metrics, one per line, e.g.&#10;median(price) as typical_price&#10;count(*)">${this.escapeHtml(options.metrics || '')}</textarea>
+                <div class="node-param-row">
+                        <select data-param="mode">
+                            <option value="group" ${options.mode !== 'pivot' ? 'selected' : ''}>One row per group</option>
+                            <option value="pivot" ${options.mode === 'pivot' ? 'selected' : ''}>Pivot</option>
+                        </select>
+                        <input type="text" data-param="pivot" placeholder="Pivot Column" value="${this.escapeHtml(options.pivot || '')}">
                 </div>
                 <div class="node-status"></div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="data_out"></div></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
     
+    createSortNodeContent(options) {
+        const collations = [['natural', 'Natural (item2 before item10)'], ['numeric', 'Numeric'], ['locale', 'Locale text']];
+        return `
+            <div class="node-header"><span class="node-title">Sort Rows</span></div>
+            <div class="node-content">
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-param-row">
+                    <input type="text" data-param="columns" placeholder="Columns (e.g., region, revenue desc)" value="${this.escapeHtml(options.columns || '')}">
+                </div>
+                <div class="node-param-row">
+                    <select data-param="collation">
+                        ${collations.map(([value, label]) => `<option value="${value}" ${options.collation === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <input type="text" data-param="locale" placeholder="Locale (e.g., de)" value="${this.escapeHtml(options.locale || '')}">
+                </div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    createDedupeNodeContent(options) {
+        return `
+            <div class="node-header"><span class="node-title">Remove Duplicates</span></div>
+            <div class="node-content">
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-param-row">
+                    <input type="text" data-param="columns" placeholder="Compare Columns (blank = all)" value="${this.escapeHtml(options.columns || '')}">
+                </div>
+                <div class="node-param-row">
+                    <label>Keep</label>
+                    <select data-param="keep">
+                        <option value="first" ${options.keep !== 'last' ? 'selected' : ''}>First occurrence</option>
+                        <option value="last" ${options.keep === 'last' ? 'selected' : ''}>Last occurrence</option>
+                    </select>
+                </div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    createLimitNodeContent(options) {
+        return `
+            <div class="node-header"><span class="node-title">Limit Rows</span></div>
+            <div class="node-content">
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-param-row">
+                    <label>Skip</label><input type="number" min="0" data-param="offset" value="${options.offset ?? 0}">
+                    <label>Take</label><input type="number" min="0" data-param="limit" value="${options.limit ?? 10}">
+                </div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    createSampleNodeContent(options) {
+        return `
+            <div class="node-header"><span class="node-title">Random Sample</span></div>
+            <div class="node-content">
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-param-row">
+                    <label>Rows</label><input type="number" min="0" data-param="size" value="${options.size ?? 10}">
+                    <label>Seed</label><input type="text" data-param="seed" placeholder="Random" value="${this.escapeHtml(options.seed || '')}">
+                </div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    createTableViewNodeContent(options) {
+        return `
+            <div class="node-header"><span class="node-title">Table</span></div>
+            <div class="node-content">
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-param-row">
+                    <label>Key</label>
+                    <input type="text" data-param="key_column" title="Edits follow the row with the same value in this column, even when upstream rows move" placeholder="Key column (blank = row position)" value="${this.escapeHtml(options.key_column || '')}">
+                </div>
+                <div class="table-view">
+                    <div class="table-view-header"></div>
+                    <div class="table-view-spacer"><div class="table-view-rows"></div></div>
+                </div>
+                <div class="group-actions">
+                    <button class="mini-btn" title="Undo every cell edit made in this table" onclick="ide.clearTableEdits('${options.nodeId}')">Clear Edits</button>
+                </div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="data_out"></div></div>
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    // --- TABLE VIEW ---
+    // Only the rows scrolled into view are in the DOM, so the grid stays fast for tens of thousands of rows.
+
+    renderTableView(nodeData) {
+        const grid = nodeData.element.querySelector('.table-view');
+        if (!grid.dataset.bound) {
+            this.bindTableView(nodeData.id, grid);
+            grid.dataset.bound = 'true';
+        }
+        const rows = Array.isArray(nodeData.outputs.data_out) ? nodeData.outputs.data_out : [];
+        const columns = nodeData.display.columns || [];
+        const { sort_column: sortColumn, sort_desc: sortDesc } = nodeData.params;
+
+        // Sorting only reorders the grid; the output keeps the input order that the edits refer to.
+        const order = rows.map((row, i) => i);
+        if (sortColumn && columns.some(column => column.name === sortColumn)) {
+            const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+            const isEmpty = value => value === null || value === undefined || value === '';
+            order.sort((a, b) => {
+                const [x, y] = [rows[a][sortColumn], rows[b][sortColumn]];
+                if (isEmpty(x) || isEmpty(y)) return isEmpty(x) - isEmpty(y);
+                const result = typeof x === 'number' && typeof y === 'number' ? x - y
+                    : x instanceof Date && y instanceof Date ? x - y
+                    : collator.compare(this.formatTableCell(x), this.formatTableCell(y));
+                return sortDesc ? -result : result;
+            });
+        }
+        this.tableViews.set(nodeData.id, { rows, columns, order });
+
+        const widths = this.getTableColumnWidths(nodeData);
+        grid.style.setProperty('--table-columns', ['48px', ...columns.map(column => `${widths[column.name] || 120}px`)].join(' '));
+        grid.querySelector('.table-view-header').innerHTML = rows.length === 0 && columns.length === 0 ? '' : `
+            <div class="table-view-cell table-view-index">#</div>
+            ${columns.map(column => `
+                <div class="table-view-cell" data-column="${this.escapeHtml(column.name)}" title="Click to sort">
+                    <div class="table-view-name">${this.escapeHtml(column.name)}${column.name === sortColumn ? (sortDesc ? ' ▼' : ' ▲') : ''}</div>
+                    <div class="table-view-stats">${this.escapeHtml(column.type)}${column.nulls > 0 ? ` · ${column.nulls} null` : ''}</div>
+                    <div class="table-view-resize" title="Drag to resize"></div>
+                </div>`).join('')}`;
+        grid.querySelector('.table-view-spacer').style.height = `${rows.length * TABLE_VIEW_ROW_HEIGHT}px`;
+        this.renderTableViewRows(nodeData.id);
+    }
+
+    renderTableViewRows(nodeId) {
+        const nodeData = this.nodes.get(nodeId);
+        const state = this.tableViews.get(nodeId);
+        if (!nodeData || !state) return;
+        const grid = nodeData.element.querySelector('.table-view');
+        const edits = this.getTableEdits(nodeData);
+        // A few rows beyond each edge keep fast scrolling from showing blank space.
+        const first = Math.max(0, Math.floor(grid.scrollTop / TABLE_VIEW_ROW_HEIGHT) - 5);
+        const visible = Math.ceil((grid.clientHeight || 400) / TABLE_VIEW_ROW_HEIGHT) + 10;
+        const container = grid.querySelector('.table-view-rows');
+        container.style.transform = `translateY(${first * TABLE_VIEW_ROW_HEIGHT}px)`;
+        container.innerHTML = state.order.slice(first, first + visible).map(index => {
+            const row = state.rows[index];
+            const edited = edits[(nodeData.display.rowKeys || [])[index]] || {};
+            // An edit the core skipped because its input value changed is not highlighted.
+            const isEdited = name => name in edited
+                && this.formatTableCell(row[name]) === this.formatTableCell(edited[name] !== null && typeof edited[name] === 'object' && 'was' in edited[name] ? edited[name].value : edited[name]);
+            return `<div class="table-view-row" data-row="${index}">
+                <div class="table-view-cell table-view-index">${index + 1}</div>
+                ${state.columns.map(({ name }) => {
+                    const value = row[name];
+                    const classes = ['table-view-cell', isEdited(name) ? 'edited' : '', value === null || value === undefined ? 'null' : ''].filter(Boolean).join(' ');
+                    return `<div class="${classes}" data-column="${this.escapeHtml(name)}">${this.escapeHtml(this.formatTableCell(value))}</div>`;
+                }).join('')}
+            </div>`;
+        }).join('');
+    }
+
+    formatTableCell(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    getTableEdits(nodeData) {
+        try {
+            return JSON.parse(nodeData.params.edits || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    getTableColumnWidths(nodeData) {
+        try {
+            return JSON.parse(nodeData.params.widths || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    bindTableView(nodeId, grid) {
+        let frame = null;
+        grid.addEventListener('scroll', () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this.renderTableViewRows(nodeId);
+            });
+        });
+        // The grid scrolls instead of zooming the canvas.
+        grid.addEventListener('wheel', (e) => e.stopPropagation());
+
+        grid.addEventListener('mousedown', (e) => {
+            const grip = e.target.closest('.table-view-resize');
+            if (!grip) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const nodeData = this.nodes.get(nodeId);
+            const column = grip.parentElement.dataset.column;
+            const startX = e.clientX;
+            const startWidth = grip.parentElement.offsetWidth;
+            const widths = this.getTableColumnWidths(nodeData);
+            const onMouseMove = (moveEvent) => {
+                widths[column] = Math.round(Math.max(40, startWidth + (moveEvent.clientX - startX) / this.scale));
+                nodeData.params.widths = JSON.stringify(widths);
+                const columns = this.tableViews.get(nodeId).columns;
+                grid.style.setProperty('--table-columns', ['48px', ...columns.map(({ name }) => `${widths[name] || 120}px`)].join(' '));
+            };
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                this.recordState("Resize Table Column");
+            };
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+
+        // Clicking a column header cycles its sort: ascending, descending, then input order.
+        grid.querySelector('.table-view-header').addEventListener('click', (e) => {
+            const header = e.target.closest('.table-view-cell[data-column]');
+            if (!header || e.target.closest('.table-view-resize')) return;
+            const nodeData = this.nodes.get(nodeId);
+            const column = header.dataset.column;
+            const { sort_column: sortColumn, sort_desc: sortDesc } = nodeData.params;
+            nodeData.params.sort_column = sortColumn !== column || !sortDesc ? column : '';
+            nodeData.params.sort_desc = sortColumn === column && !sortDesc;
+            this.renderTableView(nodeData);
+            this.recordState("Sort Table");
+        });
+
+        grid.querySelector('.table-view-rows').addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('.table-view-cell[data-column]');
+            if (cell) this.editTableCell(nodeId, cell);
+        });
+    }
+
+    /**
+     * Replaces a cell with a text box. Enter or leaving the box saves the value, Escape cancels.
+     * The text is stored as a number or boolean when the column holds those, and an empty box as null.
+     */
+    editTableCell(nodeId, cell) {
+        const nodeData = this.nodes.get(nodeId);
+        const { rows, columns } = this.tableViews.get(nodeId);
+        const index = Number(cell.closest('.table-view-row').dataset.row);
+        const column = cell.dataset.column;
+        const type = (columns.find(({ name }) => name === column) || {}).type;
+        const key = (nodeData.display.rowKeys || [])[index];
+        if (key === null || key === undefined) {
+            this.showNotification(`Row ${index + 1} has no "${nodeData.params.key_column}" value, so its edits could not be matched to it later.`, { level: 'warning' });
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'table-view-editor';
+        input.value = this.formatTableCell(rows[index][column]);
+        cell.textContent = '';
+        cell.appendChild(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (!save) {
+                this.renderTableViewRows(nodeId);
+                return;
+            }
+            const text = input.value;
+            let value = text;
+            if (text.trim() === '') value = null;
+            else if (type === 'number' && Number.isFinite(Number(text))) value = Number(text);
+            else if (type === 'boolean' && /^(true|false)$/i.test(text.trim())) value = text.trim().toLowerCase() === 'true';
+
+            // The input's value is saved with the edit so the core can tell when upstream data moved under it;
+            // an edit back to that value is dropped rather than stored.
+            const inputRow = (this.getInputValue(nodeData, 'data_in') || [])[index];
+            const source = inputRow !== null && typeof inputRow === 'object' && !Array.isArray(inputRow) ? inputRow : { value: inputRow };
+            const edits = this.getTableEdits(nodeData);
+            const rowEdits = { ...(edits[key] || {}) };
+            if (text === this.formatTableCell(source[column])) {
+                delete rowEdits[column];
+            } else {
+                rowEdits[column] = { value, was: source[column] ?? null };
+            }
+            if (Object.keys(rowEdits).length > 0) edits[key] = rowEdits;
+            else delete edits[key];
+            nodeData.params.edits = JSON.stringify(edits);
+            this.processNodeData(nodeId);
+            this.recordState("Edit Table Cell");
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+
+    clearTableEdits(nodeId) {
+        const nodeData = this.nodes.get(nodeId);
+        if (!nodeData || Object.keys(this.getTableEdits(nodeData)).length === 0) return;
+        nodeData.params.edits = '{}';
+        this.processNodeData(nodeId);
+        this.recordState("Clear Table Edits");
+    }
+
     createSpellCheckNodeContent(options) {
         return `
             <div class="node-header"><span class="node-title">Spell Check Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="text-content-wrapper">
-                    <textarea readonly placeholder="Corrected text will appear here...">${options.text || ''}</textarea>
+                    <textarea readonly placeholder="Corrected text will appear here..." data-display="text">${options.text || ''}</textarea>
                 </div>
                 <div class="node-status"></div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -792,7 +1498,7 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Translation Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="node-param-row">
                     <select data-param="targetLang">
                         <option value="es" ${options.targetLang === 'es' ? 'selected' : ''}>Spanish</option>
@@ -800,13 +1506,13 @@ class NodeBasedIDE {
                         <option value="de" ${options.targetLang === 'de' ? 'selected' : ''}>German</option>
                         <option value="ja" ${options.targetLang === 'ja' ? 'selected' : ''}>Japanese</option>
                     </select>
-                    <button class="mini-btn" onclick="ide.processNodeData('${options.nodeId}')">Translate</button>
+                    <button class="mini-btn" onclick="ide.runNodes(['${options.nodeId}'])">Translate</button>
                 </div>
                 <div class="text-content-wrapper">
-                    <textarea readonly placeholder="Translated text will appear here...">${options.text || ''}</textarea>
+                    <textarea readonly placeholder="Translated text will appear here..." data-display="text">${options.text || ''}</textarea>
                 </div>
                 <div class="node-status"></div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -815,12 +1521,12 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Summarization Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="text-content-wrapper">
-                    <textarea readonly placeholder="Summarized text will appear here...">${options.text || ''}</textarea>
+                    <textarea readonly placeholder="Summarized text will appear here..." data-display="text">${options.text || ''}</textarea>
                 </div>
                 <div class="node-status">Note: A real-time summarization model requires a large backend. This is a placeholder.</div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -829,15 +1535,15 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Sentiment Analysis</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="node-param-row">
-                    <input type="text" readonly placeholder="Sentiment Score: 0.0" data-output="sentimentScore" value="${options.sentimentScore || ''}">
+                    <input type="text" readonly placeholder="Sentiment Score: 0.0" data-display="score" value="${options.sentimentScore || ''}">
                 </div>
                 <div class="node-param-row">
-                    <input type="text" readonly placeholder="Sentiment: N/A" data-output="sentimentLabel" value="${options.sentimentLabel || ''}">
+                    <input type="text" readonly placeholder="Sentiment: N/A" data-display="label" value="${options.sentimentLabel || ''}">
                 </div>
                 <div class="node-status">Note: Requires a large ML model. This is a placeholder.</div>
-                <div class="node-output"><span>Sentiment</span><div class="socket output special-type" data-socket="sentiment"></div></div>
+                <div class="node-output"><span>Sentiment</span><div class="socket output" data-socket="sentiment"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -846,7 +1552,7 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Auto-Format Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="node-param-row">
                    <select data-param="formatType">
                        <option value="js" ${options.formatType === 'js' ? 'selected' : ''}>JavaScript</option>
@@ -856,10 +1562,10 @@ class NodeBasedIDE {
                    </select>
                 </div>
                 <div class="text-content-wrapper">
-                    <textarea readonly placeholder="Formatted code will appear here...">${options.text || ''}</textarea>
+                    <textarea readonly placeholder="Formatted code will appear here..." data-display="text">${options.text || ''}</textarea>
                 </div>
                 <div class="node-status"></div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -870,12 +1576,12 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Template Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="template_in"></div><span>Template</span></div>
-                <div class="node-input"><div class="socket input text-type" data-socket="data_in"></div><span>Data (JSON)</span></div>
+                <div class="node-input"><div class="socket input" data-socket="template_in"></div><span>Template</span></div>
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data (JSON)</span></div>
                 <textarea data-param="template" placeholder="Enter template string...">${template}</textarea>
                 <textarea data-param="variables" placeholder="Enter variables (JSON)...">${variables}</textarea>
                 <div class="node-status"></div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -884,10 +1590,69 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Macro Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="input_data"></div><span>Data In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="input_data"></div><span>Data In</span></div>
                 <textarea data-param="steps" placeholder="Enter JSON array of steps...">${options.steps || `// Example: [{ "node": "find_replace", "params": { "find": "old", "replace": "new" } }]`}</textarea>
-                <div class="node-status">Note: This is a placeholder for a complex feature.</div>
-                <div class="node-output"><span>Data Out</span><div class="socket output text-type" data-socket="output_data"></div></div>
+                <button class="mini-btn" title="Select a chain of connected nodes, then record it as this macro's steps" onclick="ide.recordMacro('${options.nodeId}')">Record from Selection</button>
+                <div class="node-status"></div>
+                <div class="node-output"><span>Data Out</span><div class="socket output" data-socket="output_data"></div></div>
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    createGroupNodeContent(options) {
+        const subgraph = options.subgraph;
+        const inputRows = subgraph.inputs.map(input =>
+            `<div class="node-input"><div class="socket input" data-socket="${input.name}"></div><span>${this.escapeHtml(input.label)}</span></div>`).join('');
+        const outputRows = subgraph.outputs.map(output =>
+            `<div class="node-output"><span>${this.escapeHtml(output.label)}</span><div class="socket output" data-socket="${output.name}"></div></div>`).join('');
+        const innerTypes = [...new Set(subgraph.nodes.map(state => state.type))].join(', ');
+        return `
+            <div class="node-header"><span class="node-title">${this.escapeHtml(subgraph.title)}</span></div>
+            <div class="node-content">
+                ${inputRows}
+                <div class="group-summary">${subgraph.nodes.length} node(s): ${this.escapeHtml(innerTypes)}</div>
+                <div class="group-actions">
+                    <button class="mini-btn" title="Expand the group on the canvas to edit its nodes" onclick="ide.editGroup('${options.nodeId}')">Edit</button>
+                    <button class="mini-btn" title="Keep this group in your library (Add Node → My Groups)" onclick="ide.saveGroupToLibrary('${options.nodeId}')">Save to Library</button>
+                </div>
+                <div class="node-status"></div>
+                ${outputRows}
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    createForEachNodeContent(options) {
+        const subgraph = options.subgraph;
+        const [itemInput, ...sharedInputs] = subgraph.inputs;
+        // A subgraph without inputs still loads; processForEachNode reports the missing item input when it runs.
+        const inputRows = [
+            itemInput
+                ? `<div class="node-input"><div class="socket input" data-socket="${this.escapeHtml(itemInput.name)}"></div><span>Items → ${this.escapeHtml(itemInput.label)}</span></div>`
+                : '<div class="group-summary">No input to receive the items</div>',
+            ...sharedInputs.map(input =>
+                `<div class="node-input"><div class="socket input" data-socket="${this.escapeHtml(input.name)}"></div><span>${this.escapeHtml(input.label)} (every item)</span></div>`)
+        ].join('');
+        const outputRows = subgraph.outputs.map(output =>
+            `<div class="node-output"><span>${this.escapeHtml(output.label)} (per item)</span><div class="socket output" data-socket="${this.escapeHtml(output.name)}"></div></div>`).join('');
+        const innerTypes = [...new Set(subgraph.nodes.map(state => state.type))].join(', ');
+        return `
+            <div class="node-header"><span class="node-title">For Each: ${this.escapeHtml(subgraph.title)}</span></div>
+            <div class="node-content">
+                ${inputRows}
+                <div class="group-summary">Runs ${subgraph.nodes.length} node(s) per item: ${this.escapeHtml(innerTypes)}</div>
+                <div class="node-param-row">
+                    <select data-param="on_error" title="What to do with an item whose run fails">
+                        <option value="skip" ${options.on_error === 'skip' ? 'selected' : ''}>Leave failed items out</option>
+                        <option value="null" ${options.on_error === 'null' ? 'selected' : ''}>Output null for failed items</option>
+                        <option value="stop" ${options.on_error === 'stop' ? 'selected' : ''}>Stop at the first failure</option>
+                    </select>
+                </div>
+                <div class="group-actions">
+                    <button class="mini-btn" title="Expand the inner nodes on the canvas to edit them" onclick="ide.editGroup('${options.nodeId}')">Edit</button>
+                </div>
+                <div class="node-status"></div>
+                ${outputRows}
+                <div class="node-output"><span>Item Errors</span><div class="socket output" data-socket="item_errors"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -900,9 +1665,9 @@ class NodeBasedIDE {
                 <button class="mini-btn" onclick="document.getElementById('ocr-file-input').click()">Load Image</button>
                 <div class="node-status"></div>
                 <div class="text-content-wrapper" style="margin-top: 8px;">
-                    <textarea readonly placeholder="Detected text will appear here...">${options.text || ''}</textarea>
+                    <textarea readonly placeholder="Detected text will appear here..." data-display="text">${options.text || ''}</textarea>
                 </div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -911,10 +1676,10 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">TTS Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="node-param-row">
                    <input type="text" data-param="voice" placeholder="Voice (e.g., 'Google US English')" value="${options.voice || ''}">
-                   <button class="mini-btn" onclick="ide.processNodeData('${options.nodeId}')">Speak</button>
+                   <button class="mini-btn" onclick="ide.runNodes(['${options.nodeId}'])">Speak</button>
                 </div>
                 <div class="node-status"></div>
                 <div id="tts-controls">
@@ -929,10 +1694,10 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Email Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <input type="text" data-param="to" placeholder="To: recipient@example.com" value="${options.to || ''}">
                 <input type="text" data-param="subject" placeholder="Subject" value="${options.subject || ''}" style="margin-top: 4px;">
-                <button class="mini-btn" onclick="ide.processNodeData('${options.nodeId}')" style="margin-top: 8px;">Send</button>
+                <button class="mini-btn" onclick="ide.runNodes(['${options.nodeId}'])" style="margin-top: 8px;">Send</button>
                 <div class="node-status" style="margin-top: 8px;"></div>
             </div>
             <div class="resize-handle"></div>`;
@@ -942,27 +1707,109 @@ class NodeBasedIDE {
        return `
             <div class="node-header"><span class="node-title">PDF Render Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
-                <button class="mini-btn" onclick="ide.processNodeData('${options.nodeId}')" style="margin-top: 8px;">Render PDF</button>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
+                <button class="mini-btn" onclick="ide.runNodes(['${options.nodeId}'])" style="margin-top: 8px;">Render PDF</button>
                 <div class="node-status"></div>
             </div>
             <div class="resize-handle"></div>`;
     }
     
+    createChartNodeContent(options) {
+        const types = [['bar', 'Bar'], ['stacked_bar', 'Stacked bar'], ['line', 'Line'], ['area', 'Area'], ['scatter', 'Scatter'], ['pie', 'Pie']];
+        return `
+            <div class="node-header"><span class="node-title">Chart</span>
+                <div class="node-controls">
+                    <button class="mini-btn" title="Download the chart as SVG" onclick="ide.exportChart('${options.nodeId}', 'svg')">SVG</button>
+                    <button class="mini-btn" title="Download the chart as PNG" onclick="ide.exportChart('${options.nodeId}', 'png')">PNG</button>
+                </div>
+            </div>
+            <div class="node-content">
+                <div class="node-input"><div class="socket input" data-socket="data_in"></div><span>Data In</span></div>
+                <div class="node-param-row">
+                    <select data-param="chart_type">
+                        ${types.map(([value, label]) => `<option value="${value}" ${options.chart_type === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <input type="text" data-param="title" placeholder="Title" value="${this.escapeHtml(options.title || '')}">
+                </div>
+                <div class="node-param-row">
+                    <input type="text" data-param="x" placeholder="X column" value="${this.escapeHtml(options.x || '')}">
+                    <input type="text" data-param="y" placeholder="Y column(s), e.g. sales, cost" value="${this.escapeHtml(options.y || '')}">
+                    <input type="text" data-param="series" placeholder="Series column" value="${this.escapeHtml(options.series || '')}">
+                </div>
+                <div class="node-param-row">
+                    <label>Size</label>
+                    <input type="number" min="160" max="4000" step="20" data-param="width" value="${options.width ?? 480}">
+                    <input type="number" min="120" max="4000" step="20" data-param="height" value="${options.height ?? 300}">
+                </div>
+                <div class="chart-preview"></div>
+                <div class="node-status"></div>
+                <div class="node-output"><span>SVG</span><div class="socket output" data-socket="svg_out"></div></div>
+            </div>
+            <div class="resize-handle"></div>`;
+    }
+
+    renderChartPreview(nodeData) {
+        // The markup comes from renderChartSvg, which escapes every label taken from the data.
+        nodeData.element.querySelector('.chart-preview').innerHTML = nodeData.outputs.svg_out || '';
+    }
+
+    /**
+     * Downloads a Chart node's current SVG, or a PNG drawn from it at twice its size.
+     * @param {string} nodeId
+     * @param {'svg'|'png'} format
+     */
+    exportChart(nodeId, format) {
+        const nodeData = this.nodes.get(nodeId);
+        const svg = nodeData && nodeData.outputs.svg_out;
+        if (!svg) {
+            this.showNotification('The chart has nothing to export yet: connect a table and choose the X and Y columns.', { level: 'warning' });
+            return;
+        }
+        const download = (url, extension) => {
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `chart-${Date.now()}.${extension}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+        };
+        const svgUrl = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        if (format === 'svg') {
+            download(svgUrl, 'svg');
+            URL.revokeObjectURL(svgUrl);
+            return;
+        }
+        const [, width, height] = /width="([\d.]+)" height="([\d.]+)"/.exec(svg).map(Number);
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * 2;
+            canvas.height = height * 2;
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(svgUrl);
+            download(canvas.toDataURL('image/png'), 'png');
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(svgUrl);
+            this.showNotification('Could not draw the chart as PNG.', { level: 'error' });
+        };
+        img.src = svgUrl;
+    }
+
     createHtmlRenderNodeContent(options) {
         return `
             <div class="node-header"><span class="node-title">HTML Render Node</span>
                 <div class="node-controls"><button class="mini-btn" onclick="ide.togglePreview('${options.nodeId}')">Preview</button></div>
             </div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="text-content-wrapper">
-                    <textarea placeholder="Enter HTML/CSS/JS here..." data-output="text_out">${options.text || ''}</textarea>
+                    <textarea placeholder="Enter HTML/CSS/JS here..." data-param="text" data-display="text">${options.text || ''}</textarea>
                 </div>
                 <div class="node-preview">
                     <iframe sandbox="allow-scripts allow-modals"></iframe>
                 </div>
-                <div class="node-output"><span>Text Out</span><div class="socket output text-type" data-socket="text_out"></div></div>
+                <div class="node-output"><span>Text Out</span><div class="socket output" data-socket="text_out"></div></div>
             </div>
             <div class="resize-handle"></div>`;
     }
@@ -971,7 +1818,7 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">QR Code Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
                 <div class="qr-code-container" data-qr-container></div>
                 <div class="node-status"></div>
             </div>
@@ -982,7 +1829,7 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Social Share</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text/URL In</span></div>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text/URL In</span></div>
                 <div class="social-share-buttons">
                     <button class="mini-btn" data-share="twitter">Twitter</button>
                     <button class="mini-btn" data-share="facebook">Facebook</button>
@@ -997,7 +1844,7 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Screenshot Node</span></div>
             <div class="node-content">
-                <button class="mini-btn" onclick="ide.processNodeData('${options.nodeId}')">Take Screenshot</button>
+                <button class="mini-btn" onclick="ide.runNodes(['${options.nodeId}'])">Take Screenshot</button>
                 <div class="node-status"></div>
             </div>
             <div class="resize-handle"></div>`;
@@ -1007,8 +1854,8 @@ class NodeBasedIDE {
         return `
             <div class="node-header"><span class="node-title">Print Node</span></div>
             <div class="node-content">
-                <div class="node-input"><div class="socket input text-type" data-socket="text_in"></div><span>Text In</span></div>
-                <button class="mini-btn" onclick="ide.processNodeData('${options.nodeId}')">Print</button>
+                <div class="node-input"><div class="socket input" data-socket="text_in"></div><span>Text In</span></div>
+                <button class="mini-btn" onclick="ide.runNodes(['${options.nodeId}'])">Print</button>
                 <div class="node-status"></div>
             </div>
             <div class="resize-handle"></div>`;
@@ -1154,10 +2001,9 @@ class NodeBasedIDE {
         }
     }
     
+    // Escapes text for interpolation into node templates, attribute values included.
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     }
             
     setupNodeEvents(node) {
@@ -1195,10 +2041,15 @@ class NodeBasedIDE {
             socket.addEventListener('mouseup', (e) => { e.stopPropagation(); this.completeConnection(socket); });
         });
 
-        const contentElements = node.querySelectorAll('textarea, input[data-param], input[type="checkbox"], select[data-param]');
-        contentElements.forEach(input => {
+        // Controls write straight into the node's params; processors never read the DOM.
+        node.querySelectorAll('[data-param]').forEach(input => {
             let debounceTimer;
             const recordChange = () => {
+                const nodeData = this.nodes.get(node.id);
+                if (!nodeData) return;
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                nodeData.params = this.normalizeParams(nodeData.type, { ...nodeData.params, [input.dataset.param]: value });
+                this.refreshSockets(nodeData);
                 this.processNodeData(node.id);
                 clearTimeout(debounceTimer);
                 debounceTimer = setTimeout(() => {
@@ -1215,6 +2066,20 @@ class NodeBasedIDE {
         });
         
         // Event listeners for social share buttons
+        node.querySelector('.node-error-badge')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const nodeData = this.nodes.get(node.id);
+            const origin = nodeData && nodeData.error && this.nodes.get(nodeData.error.nodeId);
+            if (origin) this.selectNode(origin.element);
+        });
+
+        node.querySelectorAll('.node-flag-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleNodeFlag(node.id, button.dataset.flag);
+            });
+        });
+
         node.querySelectorAll('[data-share]').forEach(button => {
             button.addEventListener('click', () => {
                 const platform = button.dataset.share;
@@ -1292,16 +2157,183 @@ class NodeBasedIDE {
         if (this.connectionStart.node === targetNodeId) {
             return;
         }
-        const targetSocketName = targetSocket.dataset.socket;
-        this.connections = this.connections.filter(c => !(c.to.node === targetNodeId && c.to.socket === targetSocketName));
-        this.connections.push({ from: { node: this.connectionStart.node, socket: this.connectionStart.socket }, to: { node: targetNodeId, socket: targetSocketName } });
-        
+        if (this.wouldCreateCycle(this.connectionStart.node, targetNodeId)) {
+            const fromTitle = this.getNodeTitle(this.connectionStart.node);
+            const toTitle = this.getNodeTitle(targetNodeId);
+            this.showNotification(`Connection refused: ${toTitle} (${targetNodeId}) already feeds into ${fromTitle} (${this.connectionStart.node}), so this wire would create a cycle.`, { level: 'error' });
+            this.connectionStart = null;
+            return;
+        }
+        const from = { node: this.connectionStart.node, socket: this.connectionStart.socket };
+        const to = { node: targetNodeId, socket: targetSocket.dataset.socket };
+        this.connectionStart = null;
+
+        const fromType = this.getSocketType(from.node, from.socket, 'output');
+        const toType = targetSocket.dataset.type || 'any';
+        const compatibility = checkSocketCompatibility(fromType, toType);
+        if (compatibility.status === 'reject') {
+            this.showTypeMismatch(from, to, fromType, toType, compatibility.converters);
+            return;
+        }
+        if (compatibility.status === 'warn') {
+            this.showNotification(`${SOCKET_TYPES[fromType].label} output is wired into a ${SOCKET_TYPES[toType].label} input; the value will be coerced.`, { level: 'warning' });
+        }
+
+        this.addConnection(from, to);
         this.recordState("Create Connection");
         this.updateConnections();
         this.updateSocketStates();
-        this.processNodeData(targetNodeId);
-        
-        this.connectionStart = null; 
+        this.processNodeData(to.node);
+    }
+
+    addConnection(from, to) {
+        if (this.isMultiInput(to.node, to.socket)) {
+            const duplicate = this.connections.some(c => c.to.node === to.node && c.to.socket === to.socket &&
+                c.from.node === from.node && c.from.socket === from.socket);
+            if (duplicate) return;
+        } else {
+            this.connections = this.connections.filter(c => !(c.to.node === to.node && c.to.socket === to.socket));
+        }
+        this.connections.push({ from, to });
+    }
+
+    moveInputConnection(nodeId, socketName, fromIndex, toIndex) {
+        const inputs = this.connections.filter(c => c.to.node === nodeId && c.to.socket === socketName);
+        if (toIndex < 0 || toIndex >= inputs.length) return;
+        const a = this.connections.indexOf(inputs[fromIndex]);
+        const b = this.connections.indexOf(inputs[toIndex]);
+        [this.connections[a], this.connections[b]] = [this.connections[b], this.connections[a]];
+
+        this.recordState("Reorder Inputs");
+        this.updateSocketStates();
+        this.processNodeData(nodeId);
+    }
+
+    renderInputOrderLists() {
+        this.world.querySelectorAll('.input-order-list').forEach(list => {
+            const nodeId = list.closest('.node').id;
+            const socketName = list.dataset.orderFor;
+            const inputs = this.connections.filter(c => c.to.node === nodeId && c.to.socket === socketName);
+            list.innerHTML = '';
+            if (inputs.length < 2) return;
+            inputs.forEach((conn, index) => {
+                const item = document.createElement('div');
+                item.className = 'input-order-item';
+                const label = document.createElement('span');
+                label.textContent = `${index + 1}. ${this.getNodeTitle(conn.from.node)} (${conn.from.node})`;
+                const upBtn = document.createElement('button');
+                upBtn.className = 'mini-btn';
+                upBtn.innerHTML = '&#9650;';
+                upBtn.title = 'Move up';
+                upBtn.disabled = index === 0;
+                upBtn.addEventListener('click', (e) => { e.stopPropagation(); this.moveInputConnection(nodeId, socketName, index, index - 1); });
+                const downBtn = document.createElement('button');
+                downBtn.className = 'mini-btn';
+                downBtn.innerHTML = '&#9660;';
+                downBtn.title = 'Move down';
+                downBtn.disabled = index === inputs.length - 1;
+                downBtn.addEventListener('click', (e) => { e.stopPropagation(); this.moveInputConnection(nodeId, socketName, index, index + 1); });
+                item.append(label, upBtn, downBtn);
+                list.appendChild(item);
+            });
+        });
+    }
+
+    showTypeMismatch(from, to, fromType, toType, converters) {
+        const message = `Type mismatch: ${SOCKET_TYPES[fromType].label} output cannot feed a ${SOCKET_TYPES[toType].label} input.`;
+        if (converters.length === 0) {
+            this.showNotification(message, { level: 'error' });
+            return;
+        }
+        this.showNotification(`${message} Insert a converter node?`, {
+            level: 'error',
+            timeout: 12000,
+            actions: converters.map(converter => ({
+                label: `Insert ${converter.label}`,
+                onClick: () => this.insertConverter(from, to, converter)
+            }))
+        });
+    }
+
+    insertConverter(from, to, converter) {
+        const fromEl = this.nodes.get(from.node)?.element;
+        const toEl = this.nodes.get(to.node)?.element;
+        if (!fromEl || !toEl) return;
+
+        // Place the converter halfway between the two nodes it bridges.
+        const x = (fromEl.offsetLeft + fromEl.offsetWidth + toEl.offsetLeft) / 2 - 100;
+        const y = (fromEl.offsetTop + toEl.offsetTop) / 2;
+        const converterNode = this.createNode(converter.type, x, y, { ...converter.options, fromSerialization: true });
+
+        this.addConnection(from, { node: converterNode.id, socket: converter.input });
+        this.addConnection({ node: converterNode.id, socket: converter.output }, to);
+        this.recordState("Insert Converter");
+        this.updateConnections();
+        this.updateSocketStates();
+        this.processNodeData(converterNode.id);
+    }
+
+    applySocketTypes(node, sockets) {
+        node.querySelectorAll('.socket').forEach(socket => this.applySocketType(socket, sockets));
+    }
+
+    applySocketType(socket, sockets) {
+        const direction = socket.classList.contains('input') ? 'inputs' : 'outputs';
+        const spec = (sockets && sockets[direction][socket.dataset.socket]) || 'any';
+        const type = typeof spec === 'string' ? spec : spec.type;
+        socket.dataset.type = type;
+        socket.classList.add(`${type}-type`);
+        socket.title = SOCKET_TYPES[type].label;
+        if (spec.multi) {
+            socket.dataset.multi = 'true';
+            socket.classList.add('multi-input');
+            socket.title += ' (accepts multiple wires)';
+            socket.closest('.node-input').insertAdjacentHTML('afterend', `<div class="input-order-list" data-order-for="${socket.dataset.socket}"></div>`);
+        }
+    }
+
+    // Replaces the socket rows of a node whose sockets follow its settings, then re-runs the nodes
+    // that lost a wire (see LibertasCore#refreshSockets).
+    refreshSockets(nodeData) {
+        const removed = super.refreshSockets(nodeData);
+        if (!removed || !nodeData.element) return removed;
+
+        const content = nodeData.element.querySelector('.node-content');
+        ['input', 'output'].forEach(direction => {
+            const specs = { ...nodeData.sockets[`${direction}s`] };
+            delete specs.error_out;
+            const selector = direction === 'input' ? ':scope > .node-input, :scope > .input-order-list' : ':scope > .node-output:not(.error-output)';
+            const oldRows = [...content.querySelectorAll(selector)];
+            const anchor = content.querySelector(`:scope > .node-${direction}:not(.error-output)`);
+            const html = this.renderSocketRows(specs, direction);
+            if (anchor) {
+                anchor.insertAdjacentHTML('beforebegin', html);
+            } else if (direction === 'input') {
+                content.insertAdjacentHTML('afterbegin', html);
+            } else {
+                const errorRow = content.querySelector(':scope > .error-output');
+                if (errorRow) errorRow.insertAdjacentHTML('beforebegin', html);
+                else content.insertAdjacentHTML('beforeend', html);
+            }
+            oldRows.forEach(row => row.remove());
+        });
+        content.querySelectorAll(':scope > .node-input .socket, :scope > .node-output:not(.error-output) .socket').forEach(socket => {
+            this.applySocketType(socket, nodeData.sockets);
+            socket.addEventListener('mousedown', (e) => { e.stopPropagation(); this.startConnection(socket, e); });
+            socket.addEventListener('mouseup', (e) => { e.stopPropagation(); this.completeConnection(socket); });
+        });
+
+        this.refreshCycleState();
+        this.updateConnections();
+        this.updateSocketStates();
+        this.runGraph(removed.map(c => c.to.node).filter(nodeId => this.nodes.has(nodeId)));
+        return removed;
+    }
+
+    getSocketType(nodeId, socketName, direction) {
+        const nodeData = this.nodes.get(nodeId);
+        const socket = nodeData && nodeData.element.querySelector(`.socket.${direction}[data-socket="${socketName}"]`);
+        return socket ? socket.dataset.type : 'any';
     }
 
     getSocketPositionInWorld(socketEl) {
@@ -1328,6 +2360,9 @@ class NodeBasedIDE {
                 if (toSocket) toSocket.classList.add('connected');
             }
         });
+        this.renderInputOrderLists();
+        // The order lists change node heights, which moves the sockets below them.
+        this.updateConnections();
     }
 
     updateConnections() {
@@ -1350,7 +2385,7 @@ class NodeBasedIDE {
             const pathData = this.createBezierPath(startPos.x, startPos.y, endPos.x, endPos.y);
             const wireGroup = document.createElementNS(this.SVG_NS, 'g');
             wireGroup.setAttribute('data-conn-index', index);
-            wireGroup.setAttribute('title', 'Right-click to delete connection');
+            wireGroup.setAttribute('title', 'Hover to inspect, click to pin the inspector, right-click to delete');
 
             const hitboxPath = document.createElementNS(this.SVG_NS, 'path');
             hitboxPath.setAttribute('d', pathData);
@@ -1358,7 +2393,14 @@ class NodeBasedIDE {
 
             const mainPath = document.createElementNS(this.SVG_NS, 'path');
             mainPath.setAttribute('d', pathData);
-            mainPath.classList.add('connection-wire');
+            mainPath.classList.add('connection-wire', `type-${fromSocket.dataset.type || 'any'}`);
+            if (checkSocketCompatibility(fromSocket.dataset.type, toSocket.dataset.type).status !== 'ok') {
+                mainPath.classList.add('coerced');
+            }
+            if (this.cyclicConnections.has(conn)) {
+                mainPath.classList.add('cyclic');
+                wireGroup.setAttribute('title', 'This connection is part of a cycle. Right-click to delete it.');
+            }
             
             wireGroup.append(hitboxPath, mainPath);
             this.connectionsContainer.appendChild(wireGroup);
@@ -1367,343 +2409,346 @@ class NodeBasedIDE {
 
     createBezierPath(x1, y1, x2, y2) { const c = Math.abs(x2 - x1) * 0.6; return `M ${x1} ${y1} C ${x1 + c} ${y1} ${x2 - c} ${y2} ${x2} ${y2}`; }
 
-    processNodeData(nodeId) {
-        const nodeData = this.nodes.get(nodeId);
-        if (!nodeData) return;
+    // --- EXECUTION ENGINE ---
 
-        const processor = this.nodeProcessors[nodeData.type];
-        if (processor) {
-            processor(nodeData);
+    runFromToolbar() {
+        if (this.selectedNodes.size > 0) {
+            return this.runNodes([...this.selectedNodes]);
         }
-
-        this.connections.forEach(c => {
-            if (c.from.node === nodeId) {
-                this.processNodeData(c.to.node);
-            }
-        });
+        return this.runAll();
     }
 
-    processTextNode(nodeData) {
-        const textarea = nodeData.element.querySelector('textarea');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        if (inputConn) {
-            const sourceNode = this.nodes.get(inputConn.from.node);
-            const inputText = sourceNode.outputs[inputConn.from.socket] || '';
-            textarea.value = inputText;
-            nodeData.outputs.text_out = inputText;
-        } else {
-            nodeData.outputs.text_out = textarea.value;
+    setExecutionMode(mode) {
+        this.executionMode = mode;
+        document.getElementById('exec-mode-select').value = mode;
+        document.body.classList.toggle('manual-execution', mode === 'manual');
+        if (mode === 'live') {
+            this.scheduleExecution();
         }
     }
 
-    processFindReplaceNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const matchesDiv = nodeData.element.querySelector('[data-matches]');
-        const inputConnection = this.connections.find(conn => conn.to.node === nodeData.element.id && conn.to.socket === 'input_text');
+    toggleNodeFlag(nodeId, flag) {
+        const nodeData = this.nodes.get(nodeId);
+        if (!nodeData) return;
+        nodeData[flag] = !nodeData[flag];
+        // Bypass and mute are mutually exclusive.
+        const otherFlag = flag === 'bypassed' ? 'muted' : 'bypassed';
+        if (nodeData[flag]) nodeData[otherFlag] = false;
+
+        ['bypassed', 'muted'].forEach(f => {
+            nodeData.element.classList.toggle(f, nodeData[f]);
+            const button = nodeData.element.querySelector(`.node-flag-btn[data-flag="${f}"]`);
+            if (button) button.classList.toggle('active', nodeData[f]);
+        });
+        this.recordState(flag === 'bypassed' ? "Toggle Bypass" : "Toggle Mute");
+        this.processNodeData(nodeId);
+    }
+
+    // --- ERROR STATE ---
 
-        if (!inputConnection) {
-            statusDiv.textContent = 'No input connected';
-            matchesDiv.innerHTML = '<em>No input connected</em>';
-            nodeData.outputs.output_text = '';
+    setErrorOutput(nodeId, enabled) {
+        const nodeData = this.nodes.get(nodeId);
+        if (!nodeData || nodeData.errorOutput === enabled) return;
+        super.setErrorOutput(nodeId, enabled);
+
+        if (enabled) {
+            nodeData.element.querySelector('.node-content').insertAdjacentHTML('beforeend', `
+                <div class="node-output error-output"><span>Error Out</span><div class="socket output" data-socket="error_out"></div></div>`);
+            const socket = nodeData.element.querySelector('.socket[data-socket="error_out"]');
+            socket.dataset.type = 'object';
+            socket.classList.add('object-type');
+            socket.title = `${SOCKET_TYPES.object.label} (emits the error when this node fails)`;
+            socket.addEventListener('mousedown', (e) => { e.stopPropagation(); this.startConnection(socket, e); });
+            socket.addEventListener('mouseup', (e) => { e.stopPropagation(); this.completeConnection(socket); });
         } else {
-            const sourceNodeData = this.nodes.get(inputConnection.from.node);
-            const inputText = sourceNodeData.outputs[inputConnection.from.socket] || '';
-            const findText = nodeData.element.querySelector('input[data-param="find"]').value;
-            const replaceText = nodeData.element.querySelector('input[data-param="replace"]').value;
-            
-            let outputText = inputText;
-            
-            if (findText) {
-                try {
-                    const isRegex = nodeData.element.querySelector('input[data-param="regex"]').checked;
-                    const isGlobal = nodeData.element.querySelector('input[data-param="global"]').checked;
-                    const isCaseSensitive = nodeData.element.querySelector('input[data-param="case_sensitive"]').checked;
-                    let flags = isGlobal ? 'g' : '';
-                    if (!isCaseSensitive) flags += 'i';
-
-                    const searchPattern = isRegex ? new RegExp(findText, flags) : new RegExp(findText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
-                    
-                    const matches = [...inputText.matchAll(new RegExp(searchPattern.source, searchPattern.flags.replace('g','') + 'g'))];
-                    const matchCount = matches.length;
-                    
-                    outputText = inputText.replace(searchPattern, replaceText);
-                    
-                    if (matchCount > 0) {
-                        statusDiv.textContent = `${matchCount} match${matchCount === 1 ? '' : 'es'} found.`;
-                        statusDiv.style.color = 'var(--socket-text)';
-                        matchesDiv.innerHTML = matches.slice(0, 10).map((match, i) => `<div class="match-item">Match ${i + 1}: "${match[0]}"</div>`).join('');
-                    } else {
-                        statusDiv.textContent = 'No matches found';
-                        statusDiv.style.color = '#ff9800';
-                        matchesDiv.innerHTML = '<em>No matches found</em>';
-                    }
-                } catch (error) {
-                    statusDiv.textContent = `Regex error: ${error.message}`;
-                    statusDiv.style.color = '#f44336';
-                    matchesDiv.innerHTML = `<em style="color: #f44336;">${error.message}</em>`;
-                }
-            } else {
-                statusDiv.textContent = 'Enter find pattern';
-                matchesDiv.innerHTML = '<em>Enter find pattern</em>';
-            }
-            nodeData.outputs.output_text = outputText;
+            nodeData.element.querySelector('.error-output')?.remove();
         }
     }
 
-    processImportNode(nodeData) {
-        const textarea = nodeData.element.querySelector('textarea');
-        nodeData.outputs.data_out = textarea.value;
-    }
+    // --- CYCLE DETECTION ---
 
-    processExportNode(nodeData) {
-        const textarea = nodeData.element.querySelector('textarea');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in');
-        if (inputConn) {
-            const sourceNode = this.nodes.get(inputConn.from.node);
-            const inputData = sourceNode.outputs[inputConn.from.socket];
-            if (typeof inputData === 'object') {
-                textarea.value = JSON.stringify(inputData, null, 2);
-            } else {
-                textarea.value = inputData || '';
-            }
-        } else {
-            textarea.value = 'No input connected.';
-        }
-    }
-
-    processCsvNode(nodeData) {
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'csv_in');
-        if (inputConn) {
-            const sourceNode = this.nodes.get(inputConn.from.node);
-            const csvText = sourceNode.outputs[inputConn.from.socket] || '';
-            const lines = csvText.trim().split('\n');
-            if (lines.length > 1) {
-                const headers = lines[0].split(',').map(h => h.trim());
-                nodeData.outputs.data_out = lines.slice(1).map(line => {
-                    const values = line.split(',').map(v => v.trim());
-                    let row = {};
-                    headers.forEach((header, i) => {
-                        row[header] = values[i];
-                    });
-                    return row;
-                });
-            } else {
-                nodeData.outputs.data_out = [];
-            }
-        } else {
-            nodeData.outputs.data_out = [];
-        }
+    getNodeTitle(nodeId) {
+        const nodeData = this.nodes.get(nodeId);
+        const titleEl = nodeData && nodeData.element.querySelector('.node-title');
+        return titleEl ? titleEl.textContent : nodeId;
     }
 
-    processJsonNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const operation = nodeData.element.querySelector('select[data-param="operation"]').value;
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in');
-        
-        if (!inputConn) {
-            statusDiv.textContent = 'No input connected.';
-            nodeData.outputs.data_out = operation === 'parse' ? {} : '';
-            return;
+    // --- NOTIFICATIONS ---
+
+    /**
+     * Shows a transient message in the notification area.
+     * @param {string} message - Plain text to display.
+     * @param {object} [options]
+     * @param {'info'|'warning'|'error'} [options.level='info']
+     * @param {Array<{label: string, onClick: Function}>} [options.actions] - Buttons shown under the message.
+     * @param {number} [options.timeout=6000] - Auto-dismiss delay in ms; 0 keeps it until closed.
+     * @returns {HTMLElement} - The notification element.
+     */
+    showNotification(message, { level = 'info', actions = [], timeout = 6000 } = {}) {
+        const container = document.getElementById('notifications');
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${level}`;
+
+        const text = document.createElement('div');
+        text.className = 'notification-message';
+        text.textContent = message;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'mini-btn notification-close';
+        closeBtn.innerHTML = '&times;';
+        const dismiss = () => notification.remove();
+        closeBtn.addEventListener('click', dismiss);
+
+        notification.append(closeBtn, text);
+
+        if (actions.length > 0) {
+            const actionRow = document.createElement('div');
+            actionRow.className = 'notification-actions';
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'mini-btn';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    dismiss();
+                    action.onClick();
+                });
+                actionRow.appendChild(button);
+            });
+            notification.appendChild(actionRow);
         }
 
-        const sourceNode = this.nodes.get(inputConn.from.node);
-        const inputData = sourceNode.outputs[inputConn.from.socket];
-
-        try {
-            if (operation === 'parse') {
-                nodeData.outputs.data_out = JSON.parse(inputData);
-            } else { // stringify
-                nodeData.outputs.data_out = JSON.stringify(inputData, null, 2);
-            }
-            statusDiv.textContent = 'Success';
-            statusDiv.style.color = 'var(--socket-text)';
-        } catch (e) {
-            nodeData.outputs.data_out = operation === 'parse' ? {} : '';
-            statusDiv.textContent = `Error: ${e.message}`;
-            statusDiv.style.color = '#f44336';
+        container.appendChild(notification);
+        if (timeout > 0) {
+            setTimeout(dismiss, timeout);
         }
+        return notification;
     }
-    
-    processXmlNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        statusDiv.textContent = 'XML processing is not yet implemented.';
-        nodeData.outputs.data_out = {}; // Placeholder
-    }
-    
-    processSplitNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        statusDiv.textContent = 'Split logic is not yet implemented.';
-        nodeData.outputs.data_out_1 = []; // Placeholder
-        nodeData.outputs.data_out_2 = []; // Placeholder
+
+    setNodeExecState(nodeData, state, message = '') {
+        if (!nodeData) return;
+        super.setNodeExecState(nodeData, state, message);
+        nodeData.element.dataset.execState = state;
+        this.refreshWireInspectors(nodeData.id);
+        const indicator = nodeData.element.querySelector('.node-exec-state');
+        if (indicator) {
+            const labels = {
+                dirty: 'Dirty (waiting to run)',
+                running: 'Running...',
+                done: 'Done',
+                cached: 'Cached (inputs unchanged, previous result reused)',
+                bypassed: 'Bypassed (input passed straight through)',
+                muted: 'Muted (not executed)',
+                skipped: 'Skipped (its input branch did not fire)',
+                upstream: 'Upstream failed',
+                error: 'Error'
+            };
+            indicator.title = message ? `${labels[state]}: ${message}` : labels[state];
+        }
+        const badge = nodeData.element.querySelector('.node-error-badge');
+        if (badge) {
+            const failed = state === 'error' || state === 'upstream';
+            badge.hidden = !failed;
+            badge.textContent = state === 'upstream' ? 'upstream failed' : 'error';
+            badge.title = failed ? `${message}${state === 'upstream' ? '\nClick to select the node where it failed.' : ''}` : '';
+        }
+        this.renderNodeView(nodeData);
     }
 
-    processFilterNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in');
-        if (inputConn) {
-            const sourceNode = this.nodes.get(inputConn.from.node);
-            const inputData = sourceNode.outputs[inputConn.from.socket];
-            const condition = nodeData.element.querySelector('textarea[data-param="condition"]').value;
-
-            if (!Array.isArray(inputData)) {
-                nodeData.outputs.data_out = [];
-                statusDiv.textContent = 'Error: Input is not an array.';
-                return;
-            }
+    // --- WIRE INSPECTOR ---
 
-            if (!condition) {
-                nodeData.outputs.data_out = inputData;
-                statusDiv.textContent = '';
-                return;
-            }
+    connectionKey(conn) {
+        return `${conn.from.node}:${conn.from.socket}->${conn.to.node}:${conn.to.socket}`;
+    }
 
-            try {
-                const filterFunc = new Function('row', `return ${condition}`);
-                nodeData.outputs.data_out = inputData.filter(filterFunc);
-                statusDiv.textContent = `Filtered ${inputData.length} rows to ${nodeData.outputs.data_out.length}.`;
-                statusDiv.style.color = 'var(--text-secondary)';
-            } catch (e) {
-                nodeData.outputs.data_out = [];
-                statusDiv.textContent = `Error: ${e.message}`;
-                statusDiv.style.color = '#f44336';
-            }
-        } else {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'No input connected.';
+    showHoverInspector(conn, clientX, clientY) {
+        if (!conn) return;
+        const key = this.connectionKey(conn);
+        // A pinned inspector already shows this wire.
+        if (this.wireInspectors.pinned.has(key)) return;
+        let popover = this.wireInspectors.hover;
+        if (!popover || popover.dataset.connKey !== key) {
+            this.hideHoverInspector();
+            popover = this.createWireInspector(conn, false);
+            this.wireInspectors.hover = popover;
         }
+        this.positionWireInspector(popover, clientX, clientY);
     }
 
-    processTransformNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in');
-        if (inputConn) {
-            const sourceNode = this.nodes.get(inputConn.from.node);
-            const inputData = sourceNode.outputs[inputConn.from.socket];
-            const logic = nodeData.element.querySelector('textarea[data-param="logic"]').value;
-
-            if (!Array.isArray(inputData)) {
-                nodeData.outputs.data_out = [];
-                statusDiv.textContent = 'Error: Input is not an array.';
-                return;
-            }
-
-            try {
-                const transformFunc = new Function('row', logic);
-                nodeData.outputs.data_out = inputData.map(transformFunc);
-                statusDiv.textContent = `Transformed ${inputData.length} rows.`;
-                statusDiv.style.color = 'var(--text-secondary)';
-            } catch (e) {
-                nodeData.outputs.data_out = [];
-                statusDiv.textContent = `Error: ${e.message}`;
-                statusDiv.style.color = '#f44336';
-            }
-        } else {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'No input connected.';
+    hideHoverInspector() {
+        if (this.wireInspectors.hover) {
+            this.wireInspectors.hover.remove();
+            this.wireInspectors.hover = null;
         }
     }
 
-    processMergeNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const key = nodeData.element.querySelector('input[data-param="key"]').value;
-        const conn1 = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in_1');
-        const conn2 = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in_2');
+    pinWireInspector(conn, clientX, clientY) {
+        if (!conn) return;
+        const key = this.connectionKey(conn);
+        if (this.wireInspectors.pinned.has(key)) return;
+        const popover = this.createWireInspector(conn, true);
+        this.wireInspectors.pinned.set(key, popover);
+        this.positionWireInspector(popover, clientX, clientY);
+    }
 
-        if (!conn1 || !conn2) {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'Both inputs must be connected.';
-            return;
-        }
-        if (!key) {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'Join key is required.';
-            return;
+    createWireInspector(conn, pinned) {
+        const popover = document.createElement('div');
+        popover.className = `wire-inspector${pinned ? ' pinned' : ''}`;
+        popover.dataset.connKey = this.connectionKey(conn);
+        popover.dataset.view = 'preview';
+        popover.innerHTML = `
+            <div class="wire-inspector-header">
+                <span class="wire-inspector-title"></span>
+                ${pinned ? '<button class="mini-btn wire-inspector-close" title="Close">&times;</button>' : ''}
+            </div>
+            <div class="wire-inspector-meta"></div>
+            <div class="wire-inspector-tabs">
+                <button class="mini-btn" data-view="preview">Preview</button>
+                <button class="mini-btn" data-view="table">Table</button>
+            </div>
+            <div class="wire-inspector-body"></div>`;
+
+        if (pinned) {
+            popover.querySelector('.wire-inspector-close').addEventListener('click', () => {
+                this.wireInspectors.pinned.delete(popover.dataset.connKey);
+                popover.remove();
+            });
+            this.makeInspectorDraggable(popover);
         }
-        
-        const [leftKey, rightKey] = key.includes('=') ? key.split('=').map(k => k.trim()) : [key.trim(), key.trim()];
+        popover.querySelectorAll('.wire-inspector-tabs button').forEach(button => {
+            button.addEventListener('click', () => {
+                popover.dataset.view = button.dataset.view;
+                this.renderWireInspector(popover, conn);
+            });
+        });
 
-        const data1 = this.nodes.get(conn1.from.node).outputs[conn1.from.socket];
-        const data2 = this.nodes.get(conn2.from.node).outputs[conn2.from.socket];
+        document.body.appendChild(popover);
+        this.renderWireInspector(popover, conn);
+        return popover;
+    }
 
-        if (!Array.isArray(data1) || !Array.isArray(data2)) {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'Inputs must be arrays.';
-            return;
-        }
+    positionWireInspector(popover, clientX, clientY) {
+        const margin = 12;
+        const left = Math.min(clientX + margin, window.innerWidth - popover.offsetWidth - margin);
+        const top = Math.min(clientY + margin, window.innerHeight - popover.offsetHeight - margin);
+        popover.style.left = `${Math.max(margin, left)}px`;
+        popover.style.top = `${Math.max(margin, top)}px`;
+    }
 
-        const map2 = new Map(data2.map(item => [item[rightKey], item]));
-        nodeData.outputs.data_out = data1.map(item1 => {
-            const item2 = map2.get(item1[leftKey]);
-            return item2 ? { ...item1, ...item2 } : item1;
+    makeInspectorDraggable(popover) {
+        const header = popover.querySelector('.wire-inspector-header');
+        header.addEventListener('mousedown', (e) => {
+            if (e.target.closest('button')) return;
+            e.preventDefault();
+            const startX = e.clientX - popover.offsetLeft;
+            const startY = e.clientY - popover.offsetTop;
+            const onMove = (moveEvent) => {
+                popover.style.left = `${moveEvent.clientX - startX}px`;
+                popover.style.top = `${moveEvent.clientY - startY}px`;
+            };
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+            };
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
         });
-        statusDiv.textContent = `Merged ${data1.length} and ${data2.length} rows into ${nodeData.outputs.data_out.length}.`;
-        statusDiv.style.color = 'var(--text-secondary)';
     }
 
-    processAggregateNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const groupBy = nodeData.element.querySelector('input[data-param="groupBy"]').value;
-        const aggFunc = nodeData.element.querySelector('select[data-param="aggFunc"]').value;
-        const aggKey = nodeData.element.querySelector('input[data-param="aggKey"]').value;
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in');
-        
-        if (!inputConn) {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'No input connected.';
-            return;
+    renderWireInspector(popover, conn) {
+        const sourceNode = this.nodes.get(conn.from.node);
+        const value = sourceNode ? sourceNode.outputs[conn.from.socket] : undefined;
+        const summary = describeWireValue(value);
+
+        popover.querySelector('.wire-inspector-title').textContent =
+            `${this.getNodeTitle(conn.from.node)}.${conn.from.socket} → ${this.getNodeTitle(conn.to.node)}.${conn.to.socket}`;
+
+        const metaParts = [summary.type, summary.size].filter(Boolean);
+        if (sourceNode && sourceNode.execState && sourceNode.execState !== 'done' && sourceNode.execState !== 'cached') {
+            metaParts.push(`source ${sourceNode.execState}`);
         }
-        if (!groupBy || !aggKey) {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'Group By and Of Key are required.';
-            return;
+        popover.querySelector('.wire-inspector-meta').textContent = metaParts.join(' · ');
+
+        const tabs = popover.querySelector('.wire-inspector-tabs');
+        tabs.style.display = summary.isTable ? '' : 'none';
+        const view = summary.isTable ? popover.dataset.view : 'preview';
+        tabs.querySelectorAll('button').forEach(button => button.classList.toggle('active', button.dataset.view === view));
+
+        const body = popover.querySelector('.wire-inspector-body');
+        body.innerHTML = '';
+        if (summary.type === 'image') {
+            const img = document.createElement('img');
+            img.src = value;
+            body.appendChild(img);
+        } else if (view === 'table') {
+            body.appendChild(this.buildInspectorTable(value));
+        } else {
+            const pre = document.createElement('pre');
+            pre.textContent = value === undefined ? '(no value)' : formatWirePreview(value);
+            body.appendChild(pre);
         }
+    }
 
-        const inputData = this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket];
-        if (!Array.isArray(inputData)) {
-            nodeData.outputs.data_out = [];
-            statusDiv.textContent = 'Input must be an array.';
-            return;
+    buildInspectorTable(rows, maxRows = 50, maxColumns = 20) {
+        const shownRows = rows.slice(0, maxRows);
+        const columns = [];
+        shownRows.forEach(row => Object.keys(row).forEach(key => {
+            if (!columns.includes(key) && columns.length < maxColumns) columns.push(key);
+        }));
+
+        const wrapper = document.createElement('div');
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column;
+            headerRow.appendChild(th);
+        });
+        const tbody = table.createTBody();
+        shownRows.forEach(row => {
+            const tr = tbody.insertRow();
+            columns.forEach(column => {
+                const cellValue = row[column];
+                tr.insertCell().textContent = cellValue !== null && typeof cellValue === 'object'
+                    ? JSON.stringify(cellValue)
+                    : (cellValue === undefined ? '' : String(cellValue));
+            });
+        });
+        wrapper.appendChild(table);
+
+        if (rows.length > maxRows) {
+            const note = document.createElement('div');
+            note.className = 'wire-inspector-note';
+            note.textContent = `Showing ${maxRows} of ${rows.length} rows`;
+            wrapper.appendChild(note);
         }
+        return wrapper;
+    }
 
-        const groups = inputData.reduce((acc, row) => {
-            const key = row[groupBy];
-            if (!acc[key]) {
-                acc[key] = [];
+    // Re-renders open inspectors (optionally only those fed by one node) and closes the ones
+    // whose connection no longer exists.
+    refreshWireInspectors(sourceNodeId = null) {
+        const popovers = [...this.wireInspectors.pinned.values()];
+        if (this.wireInspectors.hover) popovers.push(this.wireInspectors.hover);
+        popovers.forEach(popover => {
+            const conn = this.connections.find(c => this.connectionKey(c) === popover.dataset.connKey);
+            if (!conn) {
+                if (popover === this.wireInspectors.hover) this.wireInspectors.hover = null;
+                this.wireInspectors.pinned.delete(popover.dataset.connKey);
+                popover.remove();
+                return;
             }
-            acc[key].push(row);
-            return acc;
-        }, {});
-
-        const result = Object.keys(groups).map(key => {
-            const rows = groups[key];
-            let value;
-            switch (aggFunc) {
-                case 'count':
-                    value = rows.length;
-                    break;
-                case 'sum':
-                    value = rows.reduce((sum, row) => sum + (parseFloat(row[aggKey]) || 0), 0);
-                    break;
-                case 'avg':
-                    const sum = rows.reduce((s, r) => s + (parseFloat(r[aggKey]) || 0), 0);
-                    value = rows.length > 0 ? sum / rows.length : 0;
-                    break;
+            if (!sourceNodeId || conn.from.node === sourceNodeId) {
+                this.renderWireInspector(popover, conn);
             }
-            return { [groupBy]: key, [`${aggFunc}_of_${aggKey}`]: value };
         });
-
-        nodeData.outputs.data_out = result;
-        statusDiv.textContent = `Aggregated ${inputData.length} rows into ${result.length} groups.`;
-        statusDiv.style.color = 'var(--text-secondary)';
     }
-    
+
+    // --- PROCESSORS THAT NEED A BROWSER ---
+
     async processSpellCheckNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const textarea = nodeData.element.querySelector('textarea');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
-        
-        statusDiv.textContent = 'Loading dictionary...';
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+
+        this.setStatus(nodeData, 'Loading dictionary...');
         if (!this.typoLoaded && !this.typoLoading) {
             this.typoLoading = true;
             try {
@@ -1713,16 +2758,14 @@ class NodeBasedIDE {
                 ]);
                 this.typo = new Typo("en_US", aff, dic);
                 this.typoLoaded = true;
-                statusDiv.textContent = 'Dictionary loaded. Spell checking...';
+                this.setStatus(nodeData, 'Dictionary loaded. Spell checking...');
             } catch (e) {
-                statusDiv.textContent = `Error loading dictionary: ${e.message}`;
-                console.error(e);
-                return;
+                throw new Error(`Could not load dictionary: ${e.message}`);
             } finally {
                 this.typoLoading = false;
             }
         } else if (!this.typoLoaded) {
-            statusDiv.textContent = 'Dictionary is still loading...';
+            this.setStatus(nodeData, 'Dictionary is still loading...');
             return;
         }
 
@@ -1737,150 +2780,305 @@ class NodeBasedIDE {
         });
 
         const correctedText = correctedWords.join(' ');
-        textarea.value = correctedText;
+        nodeData.display.text = correctedText;
         nodeData.outputs.text_out = correctedText;
-        statusDiv.textContent = 'Spell check complete.';
+        this.setStatus(nodeData, 'Spell check complete.');
     }
 
-    processTranslationNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const textarea = nodeData.element.querySelector('textarea');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
-        const targetLang = nodeData.element.querySelector('select[data-param="targetLang"]').value;
-
-        // Simple hard-coded translation logic for demonstration
-        // A real implementation would require a backend API call to a service like LibreTranslate
-        const translations = {
-            "es": { "hello": "hola", "world": "mundo", "is": "es", "this": "esto", "a": "un", "test": "prueba" },
-            "fr": { "hello": "bonjour", "world": "monde", "is": "est", "this": "ceci", "a": "un", "test": "test" },
-            "de": { "hello": "hallo", "world": "welt", "is": "ist", "this": "dies", "a": "ein", "test": "test" },
-            "ja": { "hello": "こんにちは", "world": "世界", "is": "です", "this": "これ", "a": "", "test": "テスト" }
-        };
+    // --- MACROS ---
+
+    /**
+     * Captures the selected nodes as the steps of a Macro node. The selection must be a single
+     * chain of macro-capable nodes, each wired from its output to the next node's input.
+     */
+    recordMacro(macroNodeId) {
+        const macroNode = this.nodes.get(macroNodeId);
+        if (!macroNode) return;
+        const selectedIds = [...this.selectedNodes].filter(id => id !== macroNodeId);
+        if (selectedIds.length === 0) {
+            this.showNotification('Select the chain of nodes to record (Ctrl+click or rectangle select), then press Record again.', { level: 'warning' });
+            return;
+        }
 
-        const translationMap = translations[targetLang] || {};
-        const translatedText = inputText.toLowerCase().split(/\b/).map(word => {
-            return translationMap[word] || word;
-        }).join('');
+        const unsupported = selectedIds.find(id => !MACRO_STEP_TYPES[this.nodes.get(id).type]);
+        if (unsupported) {
+            this.showNotification(`${this.getNodeTitle(unsupported)} (${unsupported}) cannot be recorded as a macro step. Supported: ${Object.keys(MACRO_STEP_TYPES).join(', ')}.`, { level: 'error' });
+            return;
+        }
 
-        textarea.value = translatedText;
-        nodeData.outputs.text_out = translatedText;
-        statusDiv.textContent = `Translated to ${targetLang}. Note: This is a placeholder for real API functionality.`;
-    }
+        const { order } = this.topologicalSort(new Set(selectedIds));
+        for (let i = 1; i < order.length; i++) {
+            const previous = this.nodes.get(order[i - 1]);
+            const current = this.nodes.get(order[i]);
+            const linked = this.connections.some(c =>
+                c.from.node === order[i - 1] && c.from.socket === MACRO_STEP_TYPES[previous.type].output &&
+                c.to.node === order[i] && c.to.socket === MACRO_STEP_TYPES[current.type].input
+            );
+            if (!linked) {
+                this.showNotification(`The selection is not a single chain: ${this.getNodeTitle(order[i])} (${order[i]}) is not fed by ${this.getNodeTitle(order[i - 1])} (${order[i - 1]}).`, { level: 'error' });
+                return;
+            }
+        }
 
-    processSummarizationNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const textarea = nodeData.element.querySelector('textarea');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
-        
-        let summary = inputText.split('.').slice(0, 2).join('. ') + '.'; // Naive summary
-        
-        textarea.value = summary;
-        nodeData.outputs.text_out = summary;
-        statusDiv.textContent = 'Summarization is a complex NLP task. This is a naive implementation.';
+        const steps = order.map(nodeId => {
+            const node = this.nodes.get(nodeId);
+            const params = {};
+            this.nodeTypes.get(node.type).params.forEach(param => {
+                params[param.name] = node.params[param.name];
+            });
+            return { node: node.type, params };
+        });
+
+        macroNode.params.steps = JSON.stringify(steps, null, 2);
+        this.syncParamControls(macroNode);
+        this.recordState("Record Macro");
+        this.processNodeData(macroNodeId);
+        this.showNotification(`Recorded ${steps.length} step(s) into the macro.`);
     }
 
-    processSentimentAnalysisNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const scoreInput = nodeData.element.querySelector('input[data-output="sentimentScore"]');
-        const labelInput = nodeData.element.querySelector('input[data-output="sentimentLabel"]');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
-        
-        let sentimentScore = 0.5;
-        let sentimentLabel = 'Neutral';
+    // --- GROUPS (SUBGRAPHS) ---
 
-        if (inputText.toLowerCase().includes('great') || inputText.toLowerCase().includes('happy')) {
-            sentimentScore = 0.9;
-            sentimentLabel = 'Positive';
-        } else if (inputText.toLowerCase().includes('bad') || inputText.toLowerCase().includes('sad')) {
-            sentimentScore = 0.1;
-            sentimentLabel = 'Negative';
+    groupSelection() {
+        if (this.groupEditing) {
+            this.finishGroupEdit();
+            return;
         }
-        
-        scoreInput.value = sentimentScore.toFixed(2);
-        labelInput.value = sentimentLabel;
-        nodeData.outputs.sentiment = { score: sentimentScore, label: sentimentLabel };
-        statusDiv.textContent = 'Sentiment analysis is a complex task. This is a basic keyword search placeholder.';
+        if (this.selectedNodes.size === 0) {
+            this.showNotification('Select the nodes to group first.', { level: 'warning' });
+            return;
+        }
+        const title = (window.prompt('Name this group:', 'Group') || '').trim() || 'Group';
+        this.groupNodes([...this.selectedNodes], title);
     }
 
-    processAutoFormatNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const textarea = nodeData.element.querySelector('textarea');
-        const formatType = nodeData.element.querySelector('select[data-param="formatType"]').value;
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
+    // Collapses the selection into a for-each node, which runs it once per item of an incoming array.
+    iterateSelection() {
+        if (this.groupEditing) {
+            this.finishGroupEdit();
+            return;
+        }
+        if (this.selectedNodes.size === 0) {
+            this.showNotification('Select the nodes to run for each item first.', { level: 'warning' });
+            return;
+        }
+        const title = (window.prompt('Name this for-each:', 'Items') || '').trim() || 'Items';
+        this.groupNodes([...this.selectedNodes], title, 'for_each');
+    }
 
-        try {
-            let formattedText = inputText;
-            switch (formatType) {
-                case 'js':
-                    formattedText = js_beautify.js_beautify(inputText, { indent_size: 2, space_in_empty_paren: true });
-                    break;
-                case 'html':
-                    formattedText = html_beautify(inputText, { indent_size: 2 });
-                    break;
-                case 'css':
-                    formattedText = css_beautify(inputText, { indent_size: 2 });
-                    break;
-                case 'json':
-                    formattedText = JSON.stringify(JSON.parse(inputText), null, 2);
-                    break;
+    /**
+     * Collapses nodes into a single group node. Wires entering the selection become the group's
+     * inputs (one per inner socket they feed) and wires leaving it become its outputs.
+     * @param {string[]} nodeIds
+     * @param {string} title
+     * @param {'group'|'for_each'} [type='group'] - For a for-each node the first input, which receives
+     *        the items, is the one fed by a table (or the first wire in).
+     * @param {Object} [params] - Settings of the new node, e.g. those of the node that was being edited.
+     * @returns {HTMLElement|null} - The new group node.
+     */
+    groupNodes(nodeIds, title, type = 'group', params = {}) {
+        const ids = new Set(nodeIds);
+        const layoutNode = nodeIds.find(id => this.nodes.get(id).isContainer || this.nodes.get(id).parentId);
+        if (layoutNode) {
+            this.showNotification(`${this.getNodeTitle(layoutNode)} (${layoutNode}) is a layout node or sits inside one, so it cannot be grouped.`, { level: 'error' });
+            return null;
+        }
+
+        const inner = this.connections.filter(c => ids.has(c.from.node) && ids.has(c.to.node));
+        const incoming = this.connections.filter(c => !ids.has(c.from.node) && ids.has(c.to.node));
+        const outgoing = this.connections.filter(c => ids.has(c.from.node) && !ids.has(c.to.node));
+        if (type === 'for_each') {
+            if (incoming.length === 0 || outgoing.length === 0) {
+                this.showNotification('Wire the array into the selected nodes and their result out of them, so the for-each node knows its item input and what to collect.', { level: 'error' });
+                return null;
             }
-            textarea.value = formattedText;
-            nodeData.outputs.text_out = formattedText;
-            statusDiv.textContent = `Formatted as ${formatType.toUpperCase()}.`;
-        } catch (e) {
-            statusDiv.textContent = `Formatting Error: ${e.message}`;
+            const fromTable = (c) => this.getSocketType(c.from.node, c.from.socket, 'output') === 'table' ? 0 : 1;
+            incoming.sort((a, b) => fromTable(a) - fromTable(b));
         }
+        const socketLabel = (nodeId, socketName, direction) => {
+            const socket = this.nodes.get(nodeId).element.querySelector(`.socket.${direction}[data-socket="${socketName}"]`);
+            const label = socket && socket.parentElement.querySelector('span');
+            return `${this.getNodeTitle(nodeId)}: ${label ? label.textContent : socketName}`;
+        };
+
+        const inputs = new Map();
+        incoming.forEach(c => {
+            const key = `${c.to.node}:${c.to.socket}`;
+            if (inputs.has(key)) return;
+            inputs.set(key, {
+                name: `in_${inputs.size + 1}`,
+                label: socketLabel(c.to.node, c.to.socket, 'input'),
+                type: this.getSocketType(c.to.node, c.to.socket, 'input'),
+                multi: this.isMultiInput(c.to.node, c.to.socket),
+                target: { ...c.to }
+            });
+        });
+        const outputs = new Map();
+        outgoing.forEach(c => {
+            const key = `${c.from.node}:${c.from.socket}`;
+            if (outputs.has(key)) return;
+            outputs.set(key, {
+                name: `out_${outputs.size + 1}`,
+                label: socketLabel(c.from.node, c.from.socket, 'output'),
+                type: this.getSocketType(c.from.node, c.from.socket, 'output'),
+                source: { ...c.from }
+            });
+        });
+
+        // Inner positions are kept relative to the group so editing restores the original layout.
+        const states = nodeIds.map(id => this.serializeNode(id));
+        const originX = Math.min(...states.map(state => state.x));
+        const originY = Math.min(...states.map(state => state.y));
+        states.forEach(state => {
+            state.x -= originX;
+            state.y -= originY;
+        });
+        const subgraph = {
+            title,
+            nodes: states,
+            connections: inner.map(c => ({ from: { ...c.from }, to: { ...c.to } })),
+            inputs: [...inputs.values()],
+            outputs: [...outputs.values()]
+        };
+
+        this.removeNodes(ids);
+        const groupEl = this.createNode(type, originX, originY, { subgraph, params, fromSerialization: true });
+        incoming.forEach(c => this.addConnection(c.from, { node: groupEl.id, socket: inputs.get(`${c.to.node}:${c.to.socket}`).name }));
+        outgoing.forEach(c => this.addConnection({ node: groupEl.id, socket: outputs.get(`${c.from.node}:${c.from.socket}`).name }, c.to));
+
+        this.recordState("Group Nodes");
+        this.updateConnections();
+        this.updateSocketStates();
+        this.processNodeData(groupEl.id);
+        return groupEl;
     }
 
-    processTemplateNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const templateInput = nodeData.element.querySelector('textarea[data-param="template"]');
-        const variablesInput = nodeData.element.querySelector('textarea[data-param="variables"]');
-        const templateConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'template_in');
-        const dataConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'data_in');
+    /**
+     * Replaces a group node with its inner nodes (under fresh ids) and rewires the boundary connections.
+     * @returns {{nodeIds: string[], title: string}}
+     */
+    ungroupNode(groupId) {
+        const groupData = this.nodes.get(groupId);
+        const { subgraph } = groupData;
+        const originX = groupData.element.offsetLeft;
+        const originY = groupData.element.offsetTop;
+
+        const idMap = new Map();
+        subgraph.nodes.forEach(state => {
+            const nodeEl = this.createNode(state.type, originX + state.x, originY + state.y, {
+                params: state.content || {},
+                width: state.width,
+                height: state.height,
+                properties: state.properties,
+                codeBlockProperties: state.codeBlockProperties,
+                bypassed: state.bypassed,
+                muted: state.muted,
+                errorOutput: state.errorOutput,
+                subgraph: state.subgraph,
+                fromSerialization: true
+            });
+            idMap.set(state.id, nodeEl.id);
+        });
 
-        const template = templateConn ? this.nodes.get(templateConn.from.node).outputs[templateConn.from.socket] : templateInput.value;
-        const rawData = dataConn ? this.nodes.get(dataConn.from.node).outputs[dataConn.from.socket] : variablesInput.value;
-        
-        let variables = {};
-        if (typeof rawData === 'string') {
-            try {
-                variables = JSON.parse(rawData);
-            } catch(e) {
-                statusDiv.textContent = `Error parsing JSON data: ${e.message}`;
-                nodeData.outputs.text_out = '';
-                return;
+        const remap = (end) => ({ node: idMap.get(end.node), socket: end.socket });
+        const boundary = this.connections.filter(c => c.to.node === groupId || c.from.node === groupId);
+        this.removeNodes(new Set([groupId]));
+
+        subgraph.connections.forEach(c => this.addConnection(remap(c.from), remap(c.to)));
+        boundary.forEach(c => {
+            if (c.to.node === groupId) {
+                const input = subgraph.inputs.find(i => i.name === c.to.socket);
+                if (input) this.addConnection(c.from, remap(input.target));
+            } else {
+                const output = subgraph.outputs.find(o => o.name === c.from.socket);
+                if (output) this.addConnection(remap(output.source), c.to);
             }
-        } else if (typeof rawData === 'object') {
-            variables = rawData;
+        });
+        return { nodeIds: [...idMap.values()], title: subgraph.title };
+    }
+
+    // Opens a group in place: its nodes are laid out on the canvas until the edit is finished,
+    // which collapses them (plus any nodes selected at that point) back into a group.
+    editGroup(groupId) {
+        if (this.groupEditing) {
+            this.showNotification('Finish editing the open group first.', { level: 'warning' });
+            return;
         }
+        const { type, params } = this.nodes.get(groupId);
+        const { nodeIds, title } = this.ungroupNode(groupId);
+        nodeIds.forEach(id => this.nodes.get(id).element.classList.add('group-editing'));
+        this.groupEditing = {
+            title,
+            type,
+            params,
+            nodeIds,
+            notification: this.showNotification(`Editing ${type === 'for_each' ? 'for-each' : 'group'} "${title}". Change, add (select) or remove nodes, then collapse it again.`, {
+                timeout: 0,
+                actions: [{ label: 'Collapse Group', onClick: () => this.finishGroupEdit() }]
+            })
+        };
+        this.recordState("Edit Group");
+        this.updateConnections();
+        this.updateSocketStates();
+        this.runGraph(nodeIds);
+    }
 
-        let outputText = template;
-        for (const key in variables) {
-            const regex = new RegExp(`{{${key}}}`, 'g');
-            outputText = outputText.replace(regex, variables[key]);
+    finishGroupEdit() {
+        const editing = this.groupEditing;
+        if (!editing) return;
+        this.groupEditing = null;
+        editing.notification.remove();
+        const nodeIds = [...new Set([...editing.nodeIds, ...this.selectedNodes])].filter(id => this.nodes.has(id));
+        nodeIds.forEach(id => this.nodes.get(id).element.classList.remove('group-editing'));
+        if (nodeIds.length > 0) {
+            this.deselectAll();
+            this.groupNodes(nodeIds, editing.title, editing.type, editing.params);
         }
-        
-        nodeData.outputs.text_out = outputText;
-        statusDiv.textContent = 'Template processed.';
     }
 
-    processMacroNode(nodeData) {
-       const statusDiv = nodeData.element.querySelector('.node-status');
-       statusDiv.textContent = 'Macro Node is a placeholder.';
+    removeNodes(nodeIds) {
+        nodeIds.forEach(nodeId => {
+            const nodeData = this.nodes.get(nodeId);
+            if (!nodeData) return;
+            nodeData.element.remove();
+            this.nodes.delete(nodeId);
+            this.selectedNodes.delete(nodeId);
+        });
+        this.connections = this.connections.filter(c => !nodeIds.has(c.from.node) && !nodeIds.has(c.to.node));
+        this.refreshCycleState();
+    }
+
+    getGroupLibrary() {
+        try {
+            return JSON.parse(localStorage.getItem('libertas-group-library')) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    saveGroupToLibrary(groupId) {
+        const { subgraph } = this.nodes.get(groupId);
+        const library = this.getGroupLibrary().filter(entry => entry.name !== subgraph.title);
+        library.push({ name: subgraph.title, subgraph });
+        try {
+            localStorage.setItem('libertas-group-library', JSON.stringify(library));
+        } catch (e) {
+            this.showNotification(`Could not save to the library: ${e.message}`, { level: 'error' });
+            return;
+        }
+        this.showNotification(`Saved "${subgraph.title}" to your library (Add Node → My Groups).`);
+    }
+
+    removeFromGroupLibrary(name) {
+        const library = this.getGroupLibrary().filter(entry => entry.name !== name);
+        localStorage.setItem('libertas-group-library', JSON.stringify(library));
+        this.populateSidebarForAddNode();
     }
 
     async processOcrNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const textarea = nodeData.element.querySelector('textarea');
         const input = document.getElementById('ocr-file-input');
         
         if (input.files.length === 0) {
-            statusDiv.textContent = 'Please select an image file to process.';
+            this.setStatus(nodeData, 'Please select an image file to process.');
             return;
         }
 
@@ -1889,16 +3087,16 @@ class NodeBasedIDE {
         img.style.display = 'block';
         img.src = URL.createObjectURL(file);
         
-        statusDiv.textContent = 'Loading OCR worker...';
+        this.setStatus(nodeData, 'Loading OCR worker...');
 
         if (!this.tesseractLoaded && !this.tesseractLoading) {
             this.tesseractLoading = true;
             this.tesseractWorker = await Tesseract.createWorker('eng', 1, {
                 logger: m => {
                     if (m.status === 'recognizing text') {
-                        statusDiv.textContent = `Processing: ${Math.floor(m.progress * 100)}%`;
+                        this.setStatus(nodeData, `Processing: ${Math.floor(m.progress * 100)}%`);
                     } else {
-                        statusDiv.textContent = m.status;
+                        this.setStatus(nodeData, m.status);
                     }
                 }
             });
@@ -1906,27 +3104,23 @@ class NodeBasedIDE {
         }
         
         if (!this.tesseractWorker) {
-            statusDiv.textContent = 'Error: Tesseract worker failed to load.';
-            return;
+            throw new Error('Tesseract worker failed to load.');
         }
 
-        statusDiv.textContent = 'Recognizing text...';
+        this.setStatus(nodeData, 'Recognizing text...');
         const { data: { text } } = await this.tesseractWorker.recognize(file);
-        textarea.value = text;
+        nodeData.display.text = text;
         nodeData.outputs.text_out = text;
-        statusDiv.textContent = 'OCR complete!';
+        this.setStatus(nodeData, 'OCR complete!');
         input.value = ''; // Reset input
     }
 
     processTtsNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
-        const rate = parseFloat(nodeData.element.querySelector('input[data-param="rate"]').value);
-        const pitch = parseFloat(nodeData.element.querySelector('input[data-param="pitch"]').value);
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+        const { rate, pitch, voice: selectedVoice } = this.getParams(nodeData);
 
         if (!inputText) {
-            statusDiv.textContent = 'No text to speak.';
+            this.setStatus(nodeData, 'No text to speak.');
             return;
         }
 
@@ -1934,28 +3128,24 @@ class NodeBasedIDE {
         this.speech.rate = rate;
         this.speech.pitch = pitch;
 
-        const selectedVoice = nodeData.element.querySelector('input[data-param="voice"]').value;
         const voices = speechSynthesis.getVoices();
         const voice = voices.find(v => v.name === selectedVoice) || voices.find(v => v.lang.startsWith('en')) || null;
         if (voice) {
             this.speech.voice = voice;
-            statusDiv.textContent = `Speaking with voice: ${voice.name}`;
+            this.setStatus(nodeData, `Speaking with voice: ${voice.name}`);
         } else {
-            statusDiv.textContent = 'Speaking with default voice. Voice not found.';
+            this.setStatus(nodeData, 'Speaking with default voice. Voice not found.');
         }
 
         window.speechSynthesis.speak(this.speech);
     }
     
     processEmailNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const bodyText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
-        const to = nodeData.element.querySelector('input[data-param="to"]').value;
-        const subject = nodeData.element.querySelector('input[data-param="subject"]').value;
+        const bodyText = this.getInputValue(nodeData, 'text_in') ?? '';
+        const { to, subject } = this.getParams(nodeData);
         
         if (!to) {
-            statusDiv.textContent = 'Recipient email address is required.';
+            this.setStatus(nodeData, 'Recipient email address is required.');
             return;
         }
 
@@ -1970,27 +3160,24 @@ class NodeBasedIDE {
             document.body.removeChild(iframe);
         }, 100);
 
-        statusDiv.textContent = 'Opening email client...';
+        this.setStatus(nodeData, 'Opening email client...');
     }
 
     async processPdfNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        
-        if (!inputConn) {
-            statusDiv.textContent = 'No input connected.';
+
+        if (!this.hasInput(nodeData, 'text_in')) {
+            this.setStatus(nodeData, 'No input connected.');
             return;
         }
 
-        const sourceNode = this.nodes.get(inputConn.from.node);
-        const textContent = sourceNode ? sourceNode.outputs[inputConn.from.socket] : '';
+        const textContent = this.getInputValue(nodeData, 'text_in') || '';
 
         if (!textContent) {
-            statusDiv.textContent = 'Input is empty.';
+            this.setStatus(nodeData, 'Input is empty.');
             return;
         }
 
-        statusDiv.textContent = 'Generating PDF...';
+        this.setStatus(nodeData, 'Generating PDF...');
 
         try {
             const { jsPDF } = window.jspdf;
@@ -2008,9 +3195,9 @@ class NodeBasedIDE {
             document.body.appendChild(tempContainer);
 
             await doc.html(tempContainer, {
-                callback: function(doc) {
+                callback: (doc) => {
                     doc.save('document.pdf');
-                    statusDiv.textContent = 'PDF generated!';
+                    this.setStatus(nodeData, 'PDF generated!');
                     document.body.removeChild(tempContainer); // Clean up the temporary element
                 },
                 x: 10,
@@ -2020,46 +3207,40 @@ class NodeBasedIDE {
             });
 
         } catch (e) {
-            statusDiv.textContent = `Error creating PDF: ${e.message}`;
-            console.error(e);
+            throw new Error(`Could not create PDF: ${e.message}`);
         }
     }
 
-    processHtmlRenderNode(nodeData) {
-        const textarea = nodeData.element.querySelector('textarea');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
-        
-        textarea.value = inputText;
-        nodeData.outputs.text_out = inputText;
+    processQrCodeNode(nodeData) {
+        const inputText = this.getInputValue(nodeData, 'text_in') ?? '';
+
+        nodeData.display.qrText = inputText;
+        if (inputText) {
+            this.setStatus(nodeData, 'QR Code generated.');
+        } else {
+            this.setStatus(nodeData, 'No input to generate QR code.');
+        }
     }
 
-    processQrCodeNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
+    renderQrCode(nodeData) {
         const qrContainer = nodeData.element.querySelector('[data-qr-container]');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const inputText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
+        if (nodeData.display.qrText === undefined) return;
 
         qrContainer.innerHTML = '';
-        if (inputText) {
+        if (nodeData.display.qrText) {
             new QRCode(qrContainer, {
-                text: inputText,
+                text: nodeData.display.qrText,
                 width: 128,
                 height: 128,
             });
-            statusDiv.textContent = 'QR Code generated.';
-        } else {
-            statusDiv.textContent = 'No input to generate QR code.';
         }
     }
 
     processSocialShareNode(nodeData, platform) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const shareText = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
+        const shareText = this.getInputValue(nodeData, 'text_in') ?? '';
 
         if (!shareText) {
-            statusDiv.textContent = 'No text to share.';
+            this.setStatus(nodeData, 'No text to share.');
             return;
         }
 
@@ -2080,33 +3261,26 @@ class NodeBasedIDE {
 
         if (shareUrl) {
             window.open(shareUrl, '_blank', 'noopener,noreferrer');
-            statusDiv.textContent = `Sharing on ${platform}...`;
+            this.setStatus(nodeData, `Sharing on ${platform}...`);
         }
     }
 
     async processScreenshotNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        statusDiv.textContent = 'Taking screenshot...';
-        try {
-            const canvas = await html2canvas(this.world);
-            const imageURL = canvas.toDataURL('image/png');
-            const a = document.createElement('a');
-            a.href = imageURL;
-            a.download = `screenshot-${Date.now()}.png`;
-            a.click();
-            statusDiv.textContent = 'Screenshot saved!';
-        } catch (e) {
-            statusDiv.textContent = `Error: ${e.message}`;
-        }
+        this.setStatus(nodeData, 'Taking screenshot...');
+        const canvas = await html2canvas(this.world);
+        const imageURL = canvas.toDataURL('image/png');
+        const a = document.createElement('a');
+        a.href = imageURL;
+        a.download = `screenshot-${Date.now()}.png`;
+        a.click();
+        this.setStatus(nodeData, 'Screenshot saved!');
     }
 
     processPrintNode(nodeData) {
-        const statusDiv = nodeData.element.querySelector('.node-status');
-        const inputConn = this.connections.find(c => c.to.node === nodeData.element.id && c.to.socket === 'text_in');
-        const textContent = inputConn ? this.nodes.get(inputConn.from.node).outputs[inputConn.from.socket] : '';
+        const textContent = this.getInputValue(nodeData, 'text_in') ?? '';
 
         if (!textContent) {
-            statusDiv.textContent = 'No content to print.';
+            this.setStatus(nodeData, 'No content to print.');
             return;
         }
 
@@ -2116,7 +3290,7 @@ class NodeBasedIDE {
         printWindow.document.write('</body></html>');
         printWindow.document.close();
         printWindow.print();
-        statusDiv.textContent = 'Print dialog opened.';
+        this.setStatus(nodeData, 'Print dialog opened.');
     }
 
     selectNode(node, isCtrlPressed = false) {
@@ -2242,6 +3416,28 @@ class NodeBasedIDE {
                 this.sidebarContent.appendChild(codeSection);
             }
         }
+
+        if (this.nodeTypes.get(nodeData.type)?.process) {
+            const execSection = document.createElement('div');
+            execSection.className = 'sidebar-section';
+            execSection.innerHTML = `<div class="sidebar-title">Execution</div>`;
+            this.createPropCheckbox(execSection, 'error-output', 'Error Output Socket', nodeData.errorOutput, (e) => {
+                this.setErrorOutput(node.id, e.target.checked);
+                this.recordState(e.target.checked ? "Add Error Output" : "Remove Error Output");
+                this.updateConnections();
+                this.updateSocketStates();
+                this.processNodeData(node.id);
+            });
+            if (nodeData.error) {
+                const errorInfo = document.createElement('div');
+                errorInfo.className = 'sidebar-error';
+                errorInfo.textContent = nodeData.error.upstream
+                    ? `Upstream failed at ${nodeData.error.nodeTitle} (${nodeData.error.nodeId}): ${nodeData.error.message}`
+                    : nodeData.error.message;
+                execSection.appendChild(errorInfo);
+            }
+            this.sidebarContent.appendChild(execSection);
+        }
     }
     
     createPropItem(parent, id, label, type, value, listener) {
@@ -2257,6 +3453,19 @@ class NodeBasedIDE {
         parent.appendChild(item);
     }
     
+    createPropCheckbox(parent, id, label, checked, listener) {
+        const item = document.createElement('div');
+        item.className = 'prop-item';
+        item.innerHTML = `<label for="${id}">${label}</label>`;
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = id;
+        input.checked = checked;
+        input.addEventListener('change', listener);
+        item.appendChild(input);
+        parent.appendChild(item);
+    }
+
     createPropSelect(parent, id, label, options, value, listener) {
         const item = document.createElement('div');
         item.className = 'prop-item';
@@ -2452,61 +3661,17 @@ graph TD;
         sidebarTitle.textContent = 'Add Node';
         this.sidebarContent.innerHTML = '';
 
-        const nodeCategories = {
-            'General': [
-                { name: 'Text Node', type: 'text' },
-                { name: 'Find & Replace', type: 'find_replace' }
-            ],
-            'Data Processing': [
-                { name: 'Import', type: 'import' },
-                { name: 'Export', type: 'export' },
-                { name: 'CSV', type: 'csv' },
-                { name: 'JSON', type: 'json' },
-                { name: 'XML', type: 'xml' },
-                { name: 'Filter', type: 'filter' },
-                { name: 'Transform', type: 'transform' },
-                { name: 'Merge', type: 'merge' },
-                { name: 'Split', type: 'split' },
-                { name: 'Aggregate', type: 'aggregate' }
-            ],
-            'Automation': [
-                { name: 'Spell Check', type: 'spell_check' },
-                { name: 'Translation', type: 'translation' },
-                { name: 'Summarization', type: 'summarization' },
-                { name: 'Sentiment Analysis', type: 'sentiment_analysis' },
-                { name: 'Auto-Format', type: 'auto_format' },
-                { name: 'Template', type: 'template' },
-                { name: 'Macro', type: 'macro' },
-                { name: 'OCR', type: 'ocr' },
-                { name: 'TTS', type: 'tts' }
-            ],
-            'Publishing': [
-                { name: 'Email', type: 'email' },
-                { name: 'PDF Render', type: 'pdf' },
-                { name: 'HTML Render', type: 'html_render' },
-                { name: 'QR Code', type: 'qr_code' },
-                { name: 'Social Share', type: 'social_share' },
-                { name: 'Screenshot', type: 'screenshot' },
-                { name: 'Print', type: 'print' },
-            ],
-            'Layout & Structure': [
-                { name: 'Container', type: 'container' },
-                { name: 'Column', type: 'column' },
-                { name: 'Grid', type: 'grid' },
-                { name: 'Flex', type: 'flex' },
-                { name: 'Tabs', type: 'tabs' },
-                { name: 'Accordion', type: 'accordion' },
-                { name: 'Card', type: 'card' },
-                { name: 'Sidebar', type: 'sidebar' },
-                { name: 'Header/Footer', type: 'header_footer' },
-                { name: 'Spacer', type: 'spacer' }
-            ]
-        };
+        // Sections follow the order in which their first node type was registered.
+        const nodeCategories = {};
+        this.nodeTypes.forEach(definition => {
+            if (definition.hidden) return;
+            (nodeCategories[definition.category] = nodeCategories[definition.category] || []).push({ name: definition.title, type: definition.type });
+        });
 
         for (const category in nodeCategories) {
             const section = document.createElement('div');
             section.className = 'sidebar-section';
-            section.innerHTML = `<div class="sidebar-title">${category}</div>`;
+            section.innerHTML = `<div class="sidebar-title">${this.escapeHtml(category)}</div>`;
 
             const list = document.createElement('div');
             list.className = 'node-add-list';
@@ -2528,6 +3693,131 @@ graph TD;
             section.appendChild(list);
             this.sidebarContent.appendChild(section);
         }
+
+        const library = this.getGroupLibrary();
+        if (library.length > 0) {
+            const section = document.createElement('div');
+            section.className = 'sidebar-section';
+            section.innerHTML = `<div class="sidebar-title">My Groups</div>`;
+            const list = document.createElement('div');
+            list.className = 'node-add-list';
+            library.forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'node-add-row';
+                const item = document.createElement('a');
+                item.href = '#';
+                item.textContent = entry.name;
+                item.className = 'node-add-item';
+                item.onclick = (e) => {
+                    e.preventDefault();
+                    const canvasRect = this.canvas.getBoundingClientRect();
+                    const x = (-this.canvasOffset.x + canvasRect.width / 2) / this.scale;
+                    const y = (-this.canvasOffset.y + canvasRect.height / 2) / this.scale;
+                    const groupEl = this.createNode('group', x, y, { subgraph: JSON.parse(JSON.stringify(entry.subgraph)) });
+                    this.processNodeData(groupEl.id);
+                    this.deselectAll();
+                };
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'mini-btn';
+                removeBtn.innerHTML = '&times;';
+                removeBtn.title = 'Remove from library';
+                removeBtn.onclick = () => this.removeFromGroupLibrary(entry.name);
+                row.append(item, removeBtn);
+                list.appendChild(row);
+            });
+            section.appendChild(list);
+            this.sidebarContent.appendChild(section);
+        }
+
+        const packSection = document.createElement('div');
+        packSection.className = 'sidebar-section';
+        packSection.innerHTML = `<div class="sidebar-title">Node Packs</div>`;
+        const loadPack = document.createElement('a');
+        loadPack.href = '#';
+        loadPack.textContent = 'Load Node Pack...';
+        loadPack.className = 'node-add-item';
+        loadPack.title = 'Load a script that registers node types with ide.registerNodeType()';
+        loadPack.onclick = (e) => {
+            e.preventDefault();
+            document.getElementById('node-pack-input').click();
+        };
+        packSection.appendChild(loadPack);
+        this.sidebarContent.appendChild(packSection);
+    }
+
+    // --- VARIABLES ---
+
+    showVariablesSidebar() {
+        this.deselectAll();
+        this.sidebar.classList.remove('collapsed');
+        this.sidebarToggle.innerHTML = '&laquo;';
+        this.populateSidebarForVariables();
+    }
+
+    populateSidebarForVariables() {
+        this.sidebar.querySelector('.sidebar-main-title').textContent = 'Variables';
+        this.sidebarContent.innerHTML = '';
+
+        const section = document.createElement('div');
+        section.className = 'sidebar-section';
+        section.innerHTML = `
+            <div class="sidebar-title">Session Variables</div>
+            <div class="variables-hint">Use <code>{{vars.name}}</code> in any text setting and <code>vars.name</code> in Filter and Transform code. Changing a value re-runs only the nodes that use it.</div>`;
+
+        Object.entries(this.variables).forEach(([name, value]) => {
+            const users = this.findNodesUsingVariable(name);
+            const row = document.createElement('div');
+            row.className = 'variable-row';
+            row.innerHTML = `
+                <label title="${this.escapeHtml(name)}">${this.escapeHtml(name)}</label>
+                <input type="text" value="${this.escapeHtml(value)}">
+                <span class="variable-usage" title="${this.escapeHtml(users.map(id => `${this.getNodeTitle(id)} (${id})`).join('\n') || 'Not used by any node')}">${users.length}</span>
+                <button class="mini-btn" title="Delete variable">&times;</button>`;
+
+            let debounceTimer;
+            row.querySelector('input').addEventListener('input', (e) => {
+                clearTimeout(debounceTimer);
+                debounceTimer = setTimeout(() => {
+                    this.setVariable(name, e.target.value);
+                    this.recordState("Edit Variable");
+                }, 500);
+            });
+            row.querySelector('button').addEventListener('click', () => {
+                clearTimeout(debounceTimer);
+                this.deleteVariable(name);
+                this.recordState("Delete Variable");
+                this.populateSidebarForVariables();
+            });
+            section.appendChild(row);
+        });
+
+        const addRow = document.createElement('div');
+        addRow.className = 'variable-row variable-add-row';
+        addRow.innerHTML = `
+            <input type="text" placeholder="name" data-field="name">
+            <input type="text" placeholder="value" data-field="value">
+            <button class="mini-btn" title="Add variable">+</button>`;
+        const addVariable = () => {
+            const name = addRow.querySelector('[data-field="name"]').value.trim();
+            if (name in this.variables) {
+                this.showNotification(`A variable named "${name}" already exists.`, { level: 'warning' });
+                return;
+            }
+            try {
+                this.setVariable(name, addRow.querySelector('[data-field="value"]').value);
+            } catch (e) {
+                this.showNotification(e.message, { level: 'error' });
+                return;
+            }
+            this.recordState("Add Variable");
+            this.populateSidebarForVariables();
+        };
+        addRow.querySelector('button').addEventListener('click', addVariable);
+        addRow.querySelectorAll('input').forEach(input => input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addVariable();
+        }));
+        section.appendChild(addRow);
+        this.sidebarContent.appendChild(section);
     }
 
     addShowcaseFindReplace() {
@@ -2546,7 +3836,7 @@ graph TD;
     }
 
     addShowcaseDataAnalysis() {
-        const showcaseData = `{"nodes":[{"id":"node_0","type":"import","x":50,"y":50,"width":"300px","height":"220px","content":{"data_out":"product,category,price,quantity,region\\nLaptop,Electronics,999.99,5,North\\nMouse,Electronics,29.99,20,North\\nKeyboard,Electronics,79.99,15,North\\nChair,Furniture,299.99,8,South\\nDesk,Furniture,499.99,3,South\\nLaptop,Electronics,999.99,7,South\\nMouse,Electronics,29.99,25,West"}},{"id":"node_1","type":"csv","x":380,"y":50,"width":"200px","height":"150px","content":{}},{"id":"node_2","type":"transform","x":630,"y":50,"width":"280px","height":"200px","content":{"logic":"// Calculate revenue per item\\nreturn {\\n  ...row,\\n  price: parseFloat(row.price),\\n  quantity: parseInt(row.quantity),\\n  revenue: parseFloat(row.price) * parseInt(row.quantity)\\n};"}},{"id":"node_3","type":"aggregate","x":960,"y":50,"width":"250px","height":"180px","content":{"groupBy":"category","aggFunc":"sum","aggKey":"revenue"}},{"id":"node_4","type":"aggregate","x":960,"y":280,"width":"250px","height":"180px","content":{"groupBy":"region","aggFunc":"sum","aggKey":"revenue"}},{"id":"node_5","type":"export","x":1260,"y":50,"width":"280px","height":"200px","content":{}},{"id":"node_6","type":"export","x":1260,"y":280,"width":"280px","height":"200px","content":{}}],"connections":[{"from":{"node":"node_0","socket":"data_out"},"to":{"node":"node_1","socket":"csv_in"}},{"from":{"node":"node_1","socket":"data_out"},"to":{"node":"node_2","socket":"data_in"}},{"from":{"node":"node_2","socket":"data_out"},"to":{"node":"node_3","socket":"data_in"}},{"from":{"node":"node_2","socket":"data_out"},"to":{"node":"node_4","socket":"data_in"}},{"from":{"node":"node_3","socket":"data_out"},"to":{"node":"node_5","socket":"data_in"}},{"from":{"node":"node_4","socket":"data_out"},"to":{"node":"node_6","socket":"data_in"}}]}`;
+        const showcaseData = `{"nodes":[{"id":"node_0","type":"import","x":50,"y":50,"width":"300px","height":"220px","content":{"data_out":"product,category,price,quantity,region\\nLaptop,Electronics,999.99,5,North\\nMouse,Electronics,29.99,20,North\\nKeyboard,Electronics,79.99,15,North\\nChair,Furniture,299.99,8,South\\nDesk,Furniture,499.99,3,South\\nLaptop,Electronics,999.99,7,South\\nMouse,Electronics,29.99,25,West"}},{"id":"node_1","type":"csv","x":380,"y":50,"width":"200px","height":"150px","content":{}},{"id":"node_2","type":"transform","x":630,"y":50,"width":"280px","height":"200px","content":{"logic":"// Calculate revenue per item\\nreturn {\\n  ...row,\\n  price: parseFloat(row.price),\\n  quantity: parseInt(row.quantity),\\n  revenue: parseFloat(row.price) * parseInt(row.quantity)\\n};"}},{"id":"node_3","type":"aggregate","x":960,"y":50,"width":"270px","height":"300px","content":{"groupBy":"category","aggFunc":"sum","aggKey":"revenue","metrics":"sum(quantity) as units\\nmedian(price) as median_price\\ncount(*) as orders"}},{"id":"node_4","type":"aggregate","x":960,"y":400,"width":"270px","height":"300px","content":{"groupBy":"region","aggFunc":"sum","aggKey":"revenue","mode":"pivot","pivot":"category"}},{"id":"node_5","type":"export","x":1280,"y":50,"width":"280px","height":"200px","content":{}},{"id":"node_6","type":"export","x":1280,"y":400,"width":"280px","height":"200px","content":{}}],"connections":[{"from":{"node":"node_0","socket":"data_out"},"to":{"node":"node_1","socket":"csv_in"}},{"from":{"node":"node_1","socket":"data_out"},"to":{"node":"node_2","socket":"data_in"}},{"from":{"node":"node_2","socket":"data_out"},"to":{"node":"node_3","socket":"data_in"}},{"from":{"node":"node_2","socket":"data_out"},"to":{"node":"node_4","socket":"data_in"}},{"from":{"node":"node_3","socket":"data_out"},"to":{"node":"node_5","socket":"data_in"}},{"from":{"node":"node_4","socket":"data_out"},"to":{"node":"node_6","socket":"data_in"}}]}`;
         this.loadShowcase(showcaseData);
     }
 
@@ -2570,6 +3860,7 @@ graph TD;
         this.connectionsContainer.innerHTML = '<defs><linearGradient id="wireGradient" x1="0%" y1="0%" x2="0%" y2="100%"><stop offset="0%" style="stop-color:#5CAF60;stop-opacity:1" /><stop offset="50%" style="stop-color:#4CAF50;stop-opacity:1" /><stop offset="100%" style="stop-color:#3E9142;stop-opacity:1" /></linearGradient></defs>';
         this.nodes.clear();
         this.connections = [];
+        this.cyclicConnections.clear();
         this.deselectAll();
         this.recordState("Clear Canvas");
     }
@@ -2616,34 +3907,39 @@ graph TD;
             connections: this.connections,
             canvasOffset: this.canvasOffset,
             scale: this.scale,
-            nodeCounter: this.nodeCounter
+            nodeCounter: this.nodeCounter,
+            executionMode: this.executionMode,
+            variables: this.variables
         };
         this.nodes.forEach((nodeData, nodeId) => {
-            const nodeEl = nodeData.element;
-            const serializedNode = {
-                id: nodeId,
-                type: nodeData.type,
-                x: nodeEl.offsetLeft,
-                y: nodeEl.offsetTop,
-                width: nodeEl.style.width,
-                height: nodeEl.style.height,
-                content: {},
-                properties: nodeData.properties,
-                codeBlockProperties: nodeData.codeBlockProperties,
-                parentId: nodeData.parentId,
-                children: nodeData.children
-            };
-            nodeEl.querySelectorAll('[data-param], [data-output]').forEach(el => {
-                const key = el.dataset.param || el.dataset.output;
-                if (key) {
-                    serializedNode.content[key] = el.type === 'checkbox' ? el.checked : el.value;
-                }
-            });
-            state.nodes.push(serializedNode);
+            state.nodes.push(this.serializeNode(nodeId));
         });
         return JSON.stringify(state, null, 2);
     }
 
+    serializeNode(nodeId) {
+        const nodeData = this.nodes.get(nodeId);
+        const nodeEl = nodeData.element;
+        const serializedNode = {
+            id: nodeId,
+            type: nodeData.type,
+            x: nodeEl.offsetLeft,
+            y: nodeEl.offsetTop,
+            width: nodeEl.style.width,
+            height: nodeEl.style.height,
+            content: { ...nodeData.params },
+            properties: nodeData.properties,
+            codeBlockProperties: nodeData.codeBlockProperties,
+            parentId: nodeData.parentId,
+            children: nodeData.children,
+            bypassed: nodeData.bypassed,
+            muted: nodeData.muted,
+            errorOutput: nodeData.errorOutput,
+            subgraph: nodeData.subgraph
+        };
+        return serializedNode;
+    }
+
     deserialize(jsonString) {
         this.history.isRestoring = true;
         try {
@@ -2656,11 +3952,15 @@ graph TD;
             this.canvasOffset = state.canvasOffset || { x: 0, y: 0 };
             this.scale = state.scale || 1;
             this.nodeCounter = state.nodeCounter || 0;
+            this.variables = { ...state.variables };
+            this.setExecutionMode(state.executionMode || 'live');
             this.updateWorldTransform();
 
+            const missingSockets = this.getMissingSockets(state.connections || []);
+
             state.nodes.forEach(nodeState => {
                 const options = {
-                    ...nodeState.content,
+                    params: nodeState.content || {},
                     id: nodeState.id,
                     width: nodeState.width,
                     height: nodeState.height,
@@ -2668,13 +3968,25 @@ graph TD;
                     codeBlockProperties: nodeState.codeBlockProperties,
                     parentId: nodeState.parentId,
                     children: nodeState.children,
+                    bypassed: nodeState.bypassed,
+                    muted: nodeState.muted,
+                    errorOutput: nodeState.errorOutput,
+                    subgraph: nodeState.subgraph,
+                    missingSockets: missingSockets[nodeState.id],
                     fromSerialization: true
                 };
                 this.createNode(nodeState.type, nodeState.x, nodeState.y, options);
             });
 
             this.connections = state.connections || [];
-            this.nodes.forEach(node => this.processNodeData(node.element.id));
+            this.refreshCycleState();
+            if (this.cyclicConnections.size > 0) {
+                this.showNotification(`This session contains ${this.cyclicConnections.size} connection(s) that form a cycle. They are highlighted in red and the nodes on them will not run until the cycle is broken (right-click a wire to delete it).`, { level: 'error', timeout: 0 });
+            }
+            this.runGraph();
+            if (!this.sidebar.classList.contains('collapsed') && this.sidebar.querySelector('.sidebar-main-title').textContent === 'Variables') {
+                this.populateSidebarForVariables();
+            }
             
             // Defer visual updates until after the browser has rendered the new nodes
             setTimeout(() => {
@@ -0,0 +1,37 @@
+// Example node pack. Load it from Add Node > Node Packs, or add
+// <script src="node-packs/example-pack.js"></script> to libertas-infinita.html.
+(window.libertasNodePacks = window.libertasNodePacks || []).push((ide) => {
+    ide.registerNodeType({
+        type: 'example_word_count',
+        category: 'Examples',
+        title: 'Word Count',
+        sockets: { inputs: { text_in: 'text' }, outputs: { count: 'number' } },
+        params: [
+            { name: 'min_length', label: 'Min length', type: 'number', default: 1 }
+        ],
+        process(nodeData, ide) {
+            const text = ide.getInputValue(nodeData, 'text_in') || '';
+            const minLength = ide.getParams(nodeData).min_length || 1;
+            const count = text.split(/\s+/).filter(word => word.length >= minLength).length;
+            nodeData.outputs.count = count;
+            ide.setStatus(nodeData, `${count} word${count === 1 ? '' : 's'}`);
+        }
+    });
+
+    ide.registerNodeType({
+        type: 'example_case',
+        category: 'Examples',
+        title: 'Change Case',
+        sockets: { inputs: { text_in: 'text' }, outputs: { text_out: 'text' } },
+        params: [
+            { name: 'mode', label: 'Mode', type: 'select', options: ['upper', 'lower', 'title'], default: 'upper' }
+        ],
+        process(nodeData, ide) {
+            const text = ide.getInputValue(nodeData, 'text_in') || '';
+            const mode = ide.getParams(nodeData).mode;
+            nodeData.outputs.text_out = mode === 'upper' ? text.toUpperCase()
+                : mode === 'lower' ? text.toLowerCase()
+                : text.replace(/\b\w/g, c => c.toUpperCase());
+        }
+    });
+});
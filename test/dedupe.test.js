@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LibertasCore } = require('../libertas-core.js');
+
+const dedupe = (rows, params = {}) => {
+    const core = new LibertasCore();
+    const node = core.createHeadlessNode('dedupe', params);
+    node.headlessInputs.data_in = [rows];
+    core.getNodeProcessor('dedupe')(node);
+    return node.outputs.data_out;
+};
+
+test('dedupes an array of primitives by value', () => {
+    assert.deepStrictEqual(dedupe(['apple', 'pear', 'apple', 1, 2, 1, '1']), ['apple', 'pear', 1, 2, '1']);
+});
+
+test('keeps null rows and dedupes them like any other value', () => {
+    assert.deepStrictEqual(dedupe([{ a: 1 }, null, { a: 1 }, null, 'x']), [{ a: 1 }, null, 'x']);
+    assert.deepStrictEqual(dedupe([{ a: 1 }, null, { a: 2 }], { columns: 'a' }), [{ a: 1 }, null, { a: 2 }]);
+});
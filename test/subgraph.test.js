@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LibertasCore } = require('../libertas-core.js');
+
+// Inner Switch → Text, where the Text node would emit its own text if it ran without an input.
+const switchSubgraph = () => ({
+    title: 'Route',
+    nodes: [
+        { id: 'node_0', type: 'switch', content: { branches: "value === 'a'" } },
+        { id: 'node_1', type: 'text', content: { text: 'fallback' } }
+    ],
+    connections: [{ from: { node: 'node_0', socket: 'branch_1' }, to: { node: 'node_1', socket: 'text_in' } }],
+    inputs: [{ name: 'in_1', label: 'In', type: 'any', target: { node: 'node_0', socket: 'data_in' } }],
+    outputs: [{ name: 'out_1', label: 'Out', type: 'text', source: { node: 'node_1', socket: 'text_out' } }]
+});
+
+test('inner nodes fed only by a branch that did not fire are skipped', async () => {
+    const core = new LibertasCore();
+    const outputs = await core.runSubgraph(switchSubgraph(), { in_1: ['b'] });
+    assert.deepStrictEqual(outputs, {});
+    assert.deepStrictEqual(await core.runSubgraph(switchSubgraph(), { in_1: ['a'] }), { out_1: 'a' });
+});
+
+test('a group output whose inner source was skipped does not fire', async () => {
+    const core = new LibertasCore();
+    const subgraph = switchSubgraph();
+    core.nodes.set('node_0', core.createNodeModel('import', 'node_0', { params: { data_out: 'b' } }));
+    core.nodes.set('node_1', core.createNodeModel('group', 'node_1', { subgraph }));
+    core.nodes.get('node_1').subgraph = subgraph;
+    core.nodes.set('node_2', core.createNodeModel('text', 'node_2', { params: { text: 'fallback' } }));
+    core.connections.push(
+        { from: { node: 'node_0', socket: 'data_out' }, to: { node: 'node_1', socket: 'in_1' } },
+        { from: { node: 'node_1', socket: 'out_1' }, to: { node: 'node_2', socket: 'text_in' } }
+    );
+    await core.runAll();
+    assert.ok(core.nodes.get('node_1').inactiveOutputs.has('out_1'));
+    assert.strictEqual(core.nodes.get('node_2').execState, 'skipped');
+});
+
+test('for-each gives null for items whose branch did not fire', async () => {
+    const core = new LibertasCore();
+    const subgraph = switchSubgraph();
+    core.nodes.set('node_0', core.createNodeModel('import', 'node_0', { params: { data_out: '["a", "b"]' } }));
+    core.nodes.set('node_1', core.createNodeModel('json', 'node_1'));
+    core.nodes.set('node_2', core.createNodeModel('for_each', 'node_2', { subgraph }));
+    core.nodes.get('node_2').subgraph = subgraph;
+    core.connections.push(
+        { from: { node: 'node_0', socket: 'data_out' }, to: { node: 'node_1', socket: 'data_in' } },
+        { from: { node: 'node_1', socket: 'data_out' }, to: { node: 'node_2', socket: 'in_1' } }
+    );
+    await core.runAll();
+    assert.deepStrictEqual(core.nodes.get('node_2').outputs.out_1, ['a', null]);
+    assert.deepStrictEqual(core.nodes.get('node_2').outputs.item_errors, []);
+});
+
+test('an inner error status fails the run unless the node has an error output', async () => {
+    const core = new LibertasCore();
+    core.registerNodeType({
+        type: 'reports_error',
+        sockets: { inputs: { data_in: 'any' }, outputs: { data_out: 'any' } },
+        process(nodeData) {
+            this.setStatus(nodeData, 'Bad input.', 'error');
+        }
+    });
+    const subgraph = {
+        nodes: [{ id: 'node_0', type: 'reports_error', content: {} }],
+        connections: [],
+        inputs: [{ name: 'in_1', label: 'In', type: 'any', target: { node: 'node_0', socket: 'data_in' } }],
+        outputs: [
+            { name: 'out_1', label: 'Out', type: 'any', source: { node: 'node_0', socket: 'data_out' } }
+        ]
+    };
+    await assert.rejects(core.runSubgraph(subgraph, { in_1: [1] }), /Bad input\./);
+
+    subgraph.nodes[0].errorOutput = true;
+    subgraph.outputs = [{ name: 'out_1', label: 'Error', type: 'object', source: { node: 'node_0', socket: 'error_out' } }];
+    const outputs = await core.runSubgraph(subgraph, { in_1: [1] });
+    assert.strictEqual(outputs.out_1.message, 'Bad input.');
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LibertasCore } = require('../libertas-core.js');
+
+test('a value-mode Switch clears the branch it no longer routes to', async () => {
+    const core = new LibertasCore();
+    core.nodes.set('node_0', core.createNodeModel('import', 'node_0', { params: { data_out: 'a' } }));
+    core.nodes.set('node_1', core.createNodeModel('switch', 'node_1', { params: { branches: "value === 'a'\nvalue === 'b'" } }));
+    core.connections.push({ from: { node: 'node_0', socket: 'data_out' }, to: { node: 'node_1', socket: 'data_in' } });
+
+    await core.runAll();
+    assert.strictEqual(core.nodes.get('node_1').outputs.branch_1, 'a');
+
+    core.nodes.get('node_0').params.data_out = 'b';
+    await core.runGraph(['node_0']);
+    const switchNode = core.nodes.get('node_1');
+    assert.strictEqual(switchNode.outputs.branch_1, undefined);
+    assert.strictEqual(switchNode.outputs.branch_2, 'b');
+    assert.ok(switchNode.inactiveOutputs.has('branch_1'));
+});
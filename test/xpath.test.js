@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseXml, evaluateXPath } = require('../libertas-core.js');
+
+const xml = `<shop>
+    <list id="a"><item>a1</item><item>a2</item></list>
+    <list id="b"><item>b1</item><item>b2</item><item>b3</item></list>
+</shop>`;
+const texts = (xpath) => evaluateXPath(parseXml(xml), xpath).map(el => el.children.join(''));
+
+test('positional predicates after // apply per parent', () => {
+    assert.deepStrictEqual(texts('//item[1]'), ['a1', 'b1']);
+    assert.deepStrictEqual(texts('//item[last()]'), ['a2', 'b3']);
+    assert.deepStrictEqual(texts('/shop//item[2]'), ['a2', 'b2']);
+});
+
+test('other predicates after // still match across the document', () => {
+    assert.deepStrictEqual(texts("//item[contains(., '2')]"), ['a2', 'b2']);
+    assert.deepStrictEqual(texts('//list[@id="b"]/item'), ['b1', 'b2', 'b3']);
+});